@@ -0,0 +1,35 @@
+import type { Attachment, AttachmentUsage } from '../model/types';
+import { apiClient } from '~/shared/api';
+
+export const attachmentApi = {
+  async getFolderAttachments(folderId: number | null): Promise<Attachment[]> {
+    return apiClient.get<Attachment[]>('/api/attachments', {
+      params: { folder_id: folderId },
+    });
+  },
+
+  async getFileAttachments(fileId: number): Promise<Attachment[]> {
+    return apiClient.get<Attachment[]>(`/api/files/${fileId}/attachments`);
+  },
+
+  async uploadAttachment(
+    fileId: number,
+    file: globalThis.File
+  ): Promise<Attachment> {
+    const body = new FormData();
+    body.append('file', file);
+    return apiClient.post<Attachment>(`/api/files/${fileId}/attachments`, body);
+  },
+
+  async downloadAttachment(url: string): Promise<Blob> {
+    return apiClient.get<Blob>(url, { responseType: 'blob' });
+  },
+
+  async deleteAttachment(id: number): Promise<void> {
+    await apiClient.delete(`/api/attachments/${id}`);
+  },
+
+  async getUsage(): Promise<AttachmentUsage> {
+    return apiClient.get<AttachmentUsage>('/api/attachments/usage');
+  },
+};
@@ -0,0 +1,9 @@
+export { useAttachment } from './model/useAttachment';
+export { attachmentApi } from './api/attachmentApi';
+export {
+  isAttachmentUrl,
+  isImageAttachment,
+  toPublicAttachmentUrl,
+  toMarkdownReference,
+} from './model/reference';
+export type { Attachment, AttachmentUsage } from './model/types';
@@ -0,0 +1,29 @@
+import type { Attachment } from './types';
+
+const ATTACHMENT_URL_PATTERN = /^\/api\/attachments\/\d+$/;
+
+export function isAttachmentUrl(url: string | null | undefined): boolean {
+  return !!url && ATTACHMENT_URL_PATTERN.test(url);
+}
+
+/**
+ * Where visitors of a public link load an attachment of the shared note.
+ * Unlike the regular URL it needs no sign-in.
+ */
+export function toPublicAttachmentUrl(token: string, url: string): string {
+  const id = url.slice(url.lastIndexOf('/') + 1);
+  return `/api/public/${encodeURIComponent(token)}/attachments/${id}`;
+}
+
+export function isImageAttachment(attachment: Attachment): boolean {
+  return attachment.mime_type.startsWith('image/');
+}
+
+/**
+ * Markdown that embeds an image attachment or links to any other kind.
+ */
+export function toMarkdownReference(attachment: Attachment): string {
+  const label = attachment.name.replace(/([[\]\\])/g, '\\$1');
+  const link = `[${label}](${attachment.url})`;
+  return isImageAttachment(attachment) ? `!${link}` : link;
+}
@@ -0,0 +1,17 @@
+export interface Attachment {
+  id: number;
+  file_id: number;
+  name: string;
+  mime_type: string;
+  size: number;
+  url: string;
+  created_at: string;
+  // Name of the owning note, only set in folder listings
+  file_name?: string;
+}
+
+export interface AttachmentUsage {
+  used: number;
+  quota: number;
+  max_size: number;
+}
@@ -0,0 +1,82 @@
+import type { Attachment } from './types';
+import { attachmentApi } from '../api/attachmentApi';
+
+const INLINE_TYPES = /^(image|audio|video)\/|^application\/pdf$/;
+// Long enough for a new tab to load the contents
+const OBJECT_URL_LIFETIME_MS = 60 * 1000;
+
+const attachments = ref<Attachment[]>([]);
+// Folder the listing above belongs to, `undefined` before the first load
+const listedFolderId = ref<number | null | undefined>(undefined);
+
+// Downloads are authenticated, so the browser cannot load attachment URLs
+// by itself; their contents are fetched once and served from object URLs
+const objectUrls = new Map<string, Promise<string>>();
+
+export function useAttachment() {
+  async function loadAttachments(folderId: number | null = null) {
+    listedFolderId.value = folderId;
+    attachments.value = await attachmentApi.getFolderAttachments(folderId);
+  }
+
+  async function uploadAttachment(
+    fileId: number,
+    folderId: number | null,
+    file: globalThis.File
+  ): Promise<Attachment> {
+    const attachment = await attachmentApi.uploadAttachment(fileId, file);
+    if (listedFolderId.value === folderId) {
+      attachments.value = [...attachments.value, attachment].sort((a, b) =>
+        a.name.localeCompare(b.name)
+      );
+    }
+    return attachment;
+  }
+
+  async function deleteAttachment(attachment: Attachment) {
+    await attachmentApi.deleteAttachment(attachment.id);
+    attachments.value = attachments.value.filter((a) => a.id !== attachment.id);
+
+    const objectUrl = objectUrls.get(attachment.url);
+    objectUrls.delete(attachment.url);
+    objectUrl?.then(URL.revokeObjectURL, () => undefined);
+  }
+
+  function getObjectUrl(url: string): Promise<string> {
+    let objectUrl = objectUrls.get(url);
+    if (!objectUrl) {
+      objectUrl = attachmentApi
+        .downloadAttachment(url)
+        .then((blob) => URL.createObjectURL(blob));
+      // Failed downloads are not cached, so they are retried next time
+      objectUrl.catch(() => objectUrls.delete(url));
+      objectUrls.set(url, objectUrl);
+    }
+    return objectUrl;
+  }
+
+  // Types the browser can show open in a new tab, anything else is saved
+  // under its own name
+  async function openAttachment(url: string, name: string) {
+    const blob = await attachmentApi.downloadAttachment(url);
+    const objectUrl = URL.createObjectURL(blob);
+    if (INLINE_TYPES.test(blob.type)) {
+      window.open(objectUrl, '_blank', 'noopener');
+    } else {
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = name;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(objectUrl), OBJECT_URL_LIFETIME_MS);
+  }
+
+  return {
+    attachments,
+    loadAttachments,
+    uploadAttachment,
+    deleteAttachment,
+    getObjectUrl,
+    openAttachment,
+  };
+}
@@ -1,5 +1,5 @@
-import type { File } from '../model/types';
-import { apiClient } from '~/shared/api';
+import type { File, FileLinkRef, ResolvedLink } from '../model/types';
+import { apiClient, type ConflictStrategy } from '~/shared/api';
 
 export const fileApi = {
   async getFiles(folderId: number | null = null): Promise<File[]> {
@@ -23,8 +23,65 @@ export const fileApi = {
     });
   },
 
-  async updateFile(id: number, content: string): Promise<File> {
-    return apiClient.put<File>(`/api/files/${id}`, { content });
+  async updateFile(
+    id: number,
+    content: string,
+    version?: number
+  ): Promise<File> {
+    return apiClient.put<File>(`/api/files/${id}`, { content, version });
+  },
+
+  async renameFile(
+    id: number,
+    name: string,
+    rewriteLinks = false
+  ): Promise<File> {
+    return apiClient.put<File>(`/api/files/${id}`, {
+      name,
+      rewrite_links: rewriteLinks,
+    });
+  },
+
+  async getBacklinks(id: number): Promise<FileLinkRef[]> {
+    return apiClient.get<FileLinkRef[]>(`/api/files/${id}/backlinks`);
+  },
+
+  async getLinks(id: number): Promise<ResolvedLink[]> {
+    return apiClient.get<ResolvedLink[]>(`/api/files/${id}/links`);
+  },
+
+  async resolveLinks(
+    targets: string[],
+    fileId: number | null,
+    folderId: number | null = null
+  ): Promise<ResolvedLink[]> {
+    return apiClient.post<ResolvedLink[]>('/api/links/resolve', {
+      targets,
+      file_id: fileId,
+      folder_id: folderId,
+    });
+  },
+
+  async moveFile(
+    id: number,
+    folderId: number | null,
+    conflict?: ConflictStrategy
+  ): Promise<File> {
+    return apiClient.post<File>(`/api/files/${id}/move`, {
+      folder_id: folderId,
+      conflict,
+    });
+  },
+
+  async copyFile(
+    id: number,
+    folderId: number | null,
+    conflict?: ConflictStrategy
+  ): Promise<File> {
+    return apiClient.post<File>(`/api/files/${id}/copy`, {
+      folder_id: folderId,
+      conflict,
+    });
   },
 
   async deleteFile(id: number): Promise<void> {
@@ -1,3 +1,12 @@
 export { useFile } from './model/useFile';
 export { fileApi } from './api/fileApi';
-export type { File } from './model/types';
+export type {
+  File,
+  FileRole,
+  FileLinkRef,
+  ResolvedLink,
+  FileDraft,
+  FileVersion,
+  SaveStatus,
+  VersionConflict,
+} from './model/types';
@@ -0,0 +1,61 @@
+import type { FileDraft } from './types';
+import { useAuthStore } from '~/shared/stores';
+
+const STORAGE_PREFIX = 'drafts:';
+
+/**
+ * Id of the signed-in user, whose drafts all other functions work on.
+ * Drafts of other accounts on the same browser stay untouched until that
+ * account signs in again.
+ */
+export function getDraftOwner(): number | null {
+  if (!import.meta.client) return null;
+  return useAuthStore().user?.id ?? null;
+}
+
+function getStorageKey(): string | null {
+  const owner = getDraftOwner();
+  return owner === null ? null : `${STORAGE_PREFIX}${owner}`;
+}
+
+function readDrafts(): Record<string, FileDraft> {
+  const key = getStorageKey();
+  if (!key) return {};
+  try {
+    return JSON.parse(localStorage.getItem(key) ?? '{}') as Record<
+      string,
+      FileDraft
+    >;
+  } catch {
+    return {};
+  }
+}
+
+function writeDrafts(drafts: Record<string, FileDraft>) {
+  const key = getStorageKey();
+  if (!key) return;
+  if (Object.keys(drafts).length === 0) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, JSON.stringify(drafts));
+  }
+}
+
+export function getDraft(fileId: number): FileDraft | null {
+  return readDrafts()[fileId] ?? null;
+}
+
+export function setDraft(fileId: number, draft: FileDraft) {
+  writeDrafts({ ...readDrafts(), [fileId]: draft });
+}
+
+export function removeDraft(fileId: number) {
+  const drafts = Object.entries(readDrafts()).filter(
+    ([id]) => Number(id) !== fileId
+  );
+  writeDrafts(Object.fromEntries(drafts));
+}
+
+export function getDraftIds(): number[] {
+  return Object.keys(readDrafts()).map(Number);
+}
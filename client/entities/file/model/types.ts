@@ -1,6 +1,51 @@
+export type FileRole = 'owner' | 'editor' | 'viewer';
+
 export interface File {
   id: number;
   name: string;
   content: string;
   folderId: number | null;
+  version?: number;
+  role?: FileRole;
+}
+
+export type SaveStatus =
+  | 'saved'
+  | 'pending'
+  | 'saving'
+  | 'offline'
+  | 'conflict'
+  | 'error';
+
+export interface FileDraft {
+  content: string;
+  // Version the edits were made against, null for files loaded without one
+  version: number | null;
+  savedAt: string;
+}
+
+export interface FileVersion {
+  id: number;
+  name: string;
+  content: string;
+  version: number;
+}
+
+export interface VersionConflict {
+  fileId: number;
+  mine: string;
+  theirs: FileVersion;
+}
+
+export interface FileLinkRef {
+  id: number;
+  folder_id: number | null;
+  name: string;
+}
+
+export interface ResolvedLink {
+  target: string;
+  file_id: number | null;
+  folder_id: number | null;
+  broken: boolean;
 }
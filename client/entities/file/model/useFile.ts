@@ -1,10 +1,195 @@
-import type { File } from './types';
+import type { File, FileVersion, SaveStatus, VersionConflict } from './types';
 import { fileApi } from '../api/fileApi';
+import {
+  getDraft,
+  getDraftIds,
+  getDraftOwner,
+  removeDraft,
+  setDraft,
+} from './drafts';
+import { useAuthStore } from '~/shared/stores';
+
+const AUTOSAVE_DELAY_MS = 1500;
+const RETRY_INTERVAL_MS = 30000;
+
+type PushResult = 'saved' | 'conflict' | 'offline' | 'failed';
+
+interface SaveError {
+  statusCode?: number;
+  data?: {
+    data?: { code?: string; current?: FileVersion };
+  };
+}
 
 const files = ref<File[]>([]);
 const selectedFile = ref<File | null>(null);
+const editorContent = ref('');
+const saveStatus = ref<SaveStatus>('saved');
+const versionConflict = ref<VersionConflict | null>(null);
+
+// Drafts the server turned down, e.g. with a version conflict or after the
+// share was downgraded; retrying cannot help, so they wait until their file
+// is opened again
+const heldDrafts = new Set<number>();
+
+let autosaveTimer: ReturnType<typeof setTimeout> | undefined;
+let retryTimer: ReturnType<typeof setInterval> | undefined;
+let isSyncStarted = false;
+
+// Saves run one at a time, otherwise a second save could be sent with the
+// version the first one is about to replace and conflict with itself
+let saveChain: Promise<unknown> = Promise.resolve();
+
+function enqueueSave<T>(task: () => Promise<T>): Promise<T> {
+  const run = saveChain.then(task);
+  saveChain = run.catch(() => undefined);
+  return run;
+}
+
+// Drafts in local storage double as the retry queue: a draft exists until
+// the server has accepted its content
+async function pushDraft(id: number): Promise<PushResult> {
+  const owner = getDraftOwner();
+  const draft = getDraft(id);
+  if (!draft) return 'saved';
+
+  try {
+    const saved = await fileApi.updateFile(
+      id,
+      draft.content,
+      draft.version ?? undefined
+    );
+    // The account changed while the request was in flight, the drafts in
+    // reach now belong to someone else
+    if (getDraftOwner() !== owner) return 'failed';
+
+    // Edits typed while the request was in flight stay queued on top of the
+    // version that was just written
+    const latest = getDraft(id);
+    if (latest && latest.content !== saved.content) {
+      setDraft(id, { ...latest, version: saved.version ?? null });
+    } else {
+      removeDraft(id);
+    }
+
+    if (selectedFile.value?.id === id) {
+      selectedFile.value.content = saved.content;
+      selectedFile.value.version = saved.version;
+    }
+    return 'saved';
+  } catch (e: unknown) {
+    const error = e as SaveError;
+    const current = error.data?.data?.current;
+
+    if (
+      error.statusCode === 409 &&
+      error.data?.data?.code === 'VERSION_CONFLICT' &&
+      current
+    ) {
+      if (selectedFile.value?.id === id) {
+        versionConflict.value = {
+          fileId: id,
+          mine: draft.content,
+          theirs: current,
+        };
+      }
+      return 'conflict';
+    }
+
+    if (error.statusCode === undefined || !navigator.onLine) {
+      return 'offline';
+    }
+
+    // A deleted file cannot take the edits anymore. A 404 answered after
+    // the account changed says nothing about the owner's access
+    if (error.statusCode === 404 && getDraftOwner() === owner) {
+      removeDraft(id);
+    }
+    return 'failed';
+  }
+}
+
+function applyPushResult(id: number, result: PushResult) {
+  if (result === 'conflict' || result === 'failed') {
+    heldDrafts.add(id);
+  } else if (result === 'saved') {
+    heldDrafts.delete(id);
+  }
+  if (selectedFile.value?.id !== id) return;
+
+  if (result === 'saved') {
+    if (getDraft(id)) {
+      scheduleAutosave();
+    } else {
+      saveStatus.value = 'saved';
+    }
+  } else if (result === 'offline') {
+    saveStatus.value = 'offline';
+    startRetrying();
+  } else {
+    saveStatus.value = result === 'conflict' ? 'conflict' : 'error';
+  }
+}
+
+async function saveSelected() {
+  clearTimeout(autosaveTimer);
+  const file = selectedFile.value;
+  if (!file || versionConflict.value || !getDraft(file.id)) return;
+
+  saveStatus.value = 'saving';
+  const result = await enqueueSave(() => pushDraft(file.id));
+  applyPushResult(file.id, result);
+}
+
+function scheduleAutosave() {
+  saveStatus.value = 'pending';
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => void saveSelected(), AUTOSAVE_DELAY_MS);
+}
+
+async function flushDrafts() {
+  for (const id of getDraftIds()) {
+    if (heldDrafts.has(id) || versionConflict.value?.fileId === id) continue;
+    if (selectedFile.value?.id === id && saveStatus.value === 'pending') {
+      continue;
+    }
+
+    const result = await enqueueSave(() => pushDraft(id));
+    applyPushResult(id, result);
+    if (result === 'offline') return;
+  }
+
+  if (getDraftIds().every((id) => heldDrafts.has(id))) {
+    clearInterval(retryTimer);
+    retryTimer = undefined;
+  }
+}
+
+function startRetrying() {
+  if (retryTimer) return;
+  retryTimer = setInterval(() => void flushDrafts(), RETRY_INTERVAL_MS);
+}
+
+function startSync() {
+  if (!import.meta.client || isSyncStarted) return;
+  isSyncStarted = true;
+  window.addEventListener('online', () => void flushDrafts());
+  // Drafts an account left behind are sent once it signs in again
+  watch(
+    () => useAuthStore().user?.id,
+    (userId) => {
+      heldDrafts.clear();
+      if (userId !== undefined && getDraftIds().length > 0) {
+        void flushDrafts();
+      }
+    },
+    { immediate: true }
+  );
+}
 
 export function useFile() {
+  startSync();
+
   async function loadFiles(folderId: number | null = null) {
     files.value = await fileApi.getFiles(folderId);
   }
@@ -14,35 +199,157 @@ export function useFile() {
     await loadFiles(folderId);
   }
 
+  // Every edit is kept locally right away and sent after a pause in typing
+  function editContent(content: string) {
+    const file = selectedFile.value;
+    if (!file) return;
+
+    editorContent.value = content;
+    if (content === file.content) {
+      removeDraft(file.id);
+      clearTimeout(autosaveTimer);
+      if (!versionConflict.value) saveStatus.value = 'saved';
+      return;
+    }
+
+    setDraft(file.id, {
+      content,
+      version: file.version ?? null,
+      savedAt: new Date().toISOString(),
+    });
+    if (!versionConflict.value) scheduleAutosave();
+  }
+
   async function updateFile(id: number, content: string) {
+    if (selectedFile.value?.id === id) {
+      editContent(content);
+      await saveSelected();
+      return;
+    }
     await fileApi.updateFile(id, content);
+  }
+
+  /**
+   * Settles a version conflict for the open file. `null` keeps the server
+   * version and drops the local edits, any other content is saved on top of
+   * the server version.
+   */
+  async function resolveConflict(content: string | null) {
+    const conflict = versionConflict.value;
+    const file = selectedFile.value;
+    if (!conflict || !file || file.id !== conflict.fileId) return;
+
+    file.name = conflict.theirs.name;
+    file.content = conflict.theirs.content;
+    file.version = conflict.theirs.version;
+    versionConflict.value = null;
+
+    editContent(content ?? conflict.theirs.content);
+    await saveSelected();
+  }
+
+  // Adopts content written outside the editor, e.g. a restored revision
+  function replaceContent(saved: File) {
+    const file = selectedFile.value;
+    if (!file || file.id !== saved.id) return;
+
+    file.content = saved.content;
+    file.version = saved.version;
+    versionConflict.value = null;
+    editContent(saved.content);
+  }
+
+  async function renameFile(
+    id: number,
+    name: string,
+    rewriteLinks = false,
+    folderId: number | null = null
+  ) {
+    const renamed = await fileApi.renameFile(id, name, rewriteLinks);
     if (selectedFile.value && selectedFile.value.id === id) {
-      selectedFile.value.content = content;
+      selectedFile.value.name = renamed.name;
     }
+    await loadFiles(folderId);
   }
 
   async function deleteFile(id: number, folderId: number | null = null) {
     await fileApi.deleteFile(id);
+    removeDraft(id);
     if (selectedFile.value?.id === id) {
       selectedFile.value = null;
     }
     await loadFiles(folderId);
   }
 
+  // Leaving a file sends its pending edits right away instead of waiting
+  // for the autosave delay
+  function leaveSelected() {
+    const previous = selectedFile.value;
+    clearTimeout(autosaveTimer);
+    if (previous && getDraft(previous.id) && !versionConflict.value) {
+      void enqueueSave(() => pushDraft(previous.id)).then((result) => {
+        applyPushResult(previous.id, result);
+        if (result === 'offline') startRetrying();
+      });
+    }
+    versionConflict.value = null;
+  }
+
+  /**
+   * Opens a file in the editor. A local draft is picked up again, and if
+   * the file changed on the server since the draft was written, the user
+   * has to settle the conflict first.
+   */
   function selectFile(file: File) {
+    leaveSelected();
     selectedFile.value = file;
+    heldDrafts.delete(file.id);
+
+    const draft = getDraft(file.id);
+    if (!draft || draft.content === file.content) {
+      if (draft) removeDraft(file.id);
+      editorContent.value = file.content;
+      saveStatus.value = 'saved';
+      return;
+    }
+
+    editorContent.value = draft.content;
+    if (file.version === undefined || draft.version === file.version) {
+      scheduleAutosave();
+      return;
+    }
+
+    versionConflict.value = {
+      fileId: file.id,
+      mine: draft.content,
+      theirs: {
+        id: file.id,
+        name: file.name,
+        content: file.content,
+        version: file.version,
+      },
+    };
+    saveStatus.value = 'conflict';
   }
 
   function closeFile() {
+    leaveSelected();
     selectedFile.value = null;
   }
 
   return {
     files,
     selectedFile,
+    editorContent,
+    saveStatus,
+    versionConflict,
     loadFiles,
     createFile,
+    editContent,
     updateFile,
+    resolveConflict,
+    replaceContent,
+    renameFile,
     deleteFile,
     selectFile,
     closeFile,
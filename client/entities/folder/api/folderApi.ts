@@ -1,5 +1,5 @@
 import type { Folder } from '../model/types';
-import { apiClient } from '~/shared/api';
+import { apiClient, type ConflictStrategy } from '~/shared/api';
 
 export const folderApi = {
   async getFolders(parentId: number | null = null): Promise<Folder[]> {
@@ -26,6 +26,28 @@ export const folderApi = {
     return apiClient.put<Folder>(`/api/folders/${id}`, { name });
   },
 
+  async moveFolder(
+    id: number,
+    parentId: number | null,
+    conflict?: ConflictStrategy
+  ): Promise<Folder> {
+    return apiClient.post<Folder>(`/api/folders/${id}/move`, {
+      parent_id: parentId,
+      conflict,
+    });
+  },
+
+  async copyFolder(
+    id: number,
+    parentId: number | null,
+    conflict?: ConflictStrategy
+  ): Promise<Folder> {
+    return apiClient.post<Folder>(`/api/folders/${id}/copy`, {
+      parent_id: parentId,
+      conflict,
+    });
+  },
+
   async deleteFolder(id: number): Promise<void> {
     return apiClient.delete(`/api/folders/${id}`);
   },
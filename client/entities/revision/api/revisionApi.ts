@@ -0,0 +1,29 @@
+import type { Revision, RevisionDetail, RevisionDiff } from '../model/types';
+import type { File } from '~/entities/file';
+import { apiClient } from '~/shared/api';
+
+export const revisionApi = {
+  async getRevisions(fileId: number): Promise<Revision[]> {
+    return apiClient.get<Revision[]>(`/api/files/${fileId}/revisions`);
+  },
+
+  async getRevision(fileId: number, id: number): Promise<RevisionDetail> {
+    return apiClient.get<RevisionDetail>(
+      `/api/files/${fileId}/revisions/${id}`
+    );
+  },
+
+  async getDiff(
+    fileId: number,
+    from: number,
+    to: number | null = null
+  ): Promise<RevisionDiff> {
+    return apiClient.get<RevisionDiff>(`/api/files/${fileId}/revisions/diff`, {
+      params: { from, to },
+    });
+  },
+
+  async restoreRevision(fileId: number, id: number): Promise<File> {
+    return apiClient.post<File>(`/api/files/${fileId}/revisions/${id}/restore`);
+  },
+};
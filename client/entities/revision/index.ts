@@ -0,0 +1,8 @@
+export { useRevision } from './model/useRevision';
+export { revisionApi } from './api/revisionApi';
+export type {
+  Revision,
+  RevisionDetail,
+  RevisionDiff,
+  DiffLine,
+} from './model/types';
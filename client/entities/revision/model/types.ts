@@ -0,0 +1,22 @@
+export interface Revision {
+  id: number;
+  file_id: number;
+  created_at: string;
+}
+
+export interface RevisionDetail extends Revision {
+  content: string;
+}
+
+export interface DiffLine {
+  type: 'unchanged' | 'added' | 'removed';
+  content: string;
+  old_line: number | null;
+  new_line: number | null;
+}
+
+export interface RevisionDiff {
+  from: number;
+  to: number | null;
+  lines: DiffLine[];
+}
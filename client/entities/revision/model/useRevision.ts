@@ -0,0 +1,32 @@
+import type { Revision, RevisionDiff } from './types';
+import { revisionApi } from '../api/revisionApi';
+
+const revisions = ref<Revision[]>([]);
+const diff = ref<RevisionDiff | null>(null);
+
+export function useRevision() {
+  async function loadRevisions(fileId: number) {
+    revisions.value = await revisionApi.getRevisions(fileId);
+  }
+
+  async function loadDiff(
+    fileId: number,
+    from: number,
+    to: number | null = null
+  ) {
+    diff.value = await revisionApi.getDiff(fileId, from, to);
+  }
+
+  function clearRevisions() {
+    revisions.value = [];
+    diff.value = null;
+  }
+
+  return {
+    revisions,
+    diff,
+    loadRevisions,
+    loadDiff,
+    clearRevisions,
+  };
+}
@@ -0,0 +1,73 @@
+import type {
+  PublicLink,
+  PublicNote,
+  Share,
+  SharedItem,
+  ShareRole,
+  ShareTarget,
+} from '../model/types';
+import { apiClient } from '~/shared/api';
+
+function targetParams(target: ShareTarget) {
+  return target.type === 'file'
+    ? { file_id: target.id }
+    : { folder_id: target.id };
+}
+
+export const shareApi = {
+  async getShares(target: ShareTarget): Promise<Share[]> {
+    return apiClient.get<Share[]>('/api/shares', {
+      params: targetParams(target),
+    });
+  },
+
+  async createShare(
+    target: ShareTarget,
+    email: string,
+    role: ShareRole
+  ): Promise<Share> {
+    return apiClient.post<Share>('/api/shares', {
+      ...targetParams(target),
+      email,
+      role,
+    });
+  },
+
+  async updateShare(id: number, role: ShareRole): Promise<Share> {
+    return apiClient.put<Share>(`/api/shares/${id}`, { role });
+  },
+
+  async deleteShare(id: number): Promise<void> {
+    return apiClient.delete(`/api/shares/${id}`);
+  },
+
+  async getSharedWithMe(): Promise<SharedItem[]> {
+    return apiClient.get<SharedItem[]>('/api/shares/received');
+  },
+
+  async getPublicLinks(fileId: number): Promise<PublicLink[]> {
+    return apiClient.get<PublicLink[]>('/api/public-links', {
+      params: { file_id: fileId },
+    });
+  },
+
+  async createPublicLink(
+    fileId: number,
+    expiresAt: string | null = null
+  ): Promise<PublicLink> {
+    return apiClient.post<PublicLink>('/api/public-links', {
+      file_id: fileId,
+      expires_at: expiresAt,
+    });
+  },
+
+  async revokePublicLink(id: number): Promise<void> {
+    return apiClient.delete(`/api/public-links/${id}`);
+  },
+
+  async getPublicNote(token: string): Promise<PublicNote> {
+    return apiClient.get<PublicNote>(
+      `/api/public/${encodeURIComponent(token)}`
+    );
+  },
+};
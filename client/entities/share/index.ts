@@ -0,0 +1,10 @@
+export { useShare } from './model/useShare';
+export { shareApi } from './api/shareApi';
+export type {
+  ShareRole,
+  ShareTarget,
+  Share,
+  SharedItem,
+  PublicLink,
+  PublicNote,
+} from './model/types';
@@ -0,0 +1,43 @@
+export type ShareRole = 'viewer' | 'editor';
+
+export interface ShareTarget {
+  type: 'file' | 'folder';
+  id: number;
+  name: string;
+}
+
+export interface Share {
+  id: number;
+  file_id: number | null;
+  folder_id: number | null;
+  user_id: number;
+  email: string;
+  role: ShareRole;
+  created_at: string;
+}
+
+export interface SharedItem {
+  id: number;
+  type: 'file' | 'folder';
+  item_id: number;
+  parent_id: number | null;
+  name: string;
+  owner_email: string;
+  role: ShareRole;
+  created_at: string;
+}
+
+export interface PublicLink {
+  id: number;
+  file_id: number;
+  token: string;
+  expires_at: string | null;
+  created_at: string;
+}
+
+export interface PublicNote {
+  name: string;
+  content: string;
+  updated_at: string;
+  expires_at: string | null;
+}
@@ -0,0 +1,21 @@
+import type { SharedItem } from './types';
+import { shareApi } from '../api/shareApi';
+
+const sharedItems = ref<SharedItem[]>([]);
+
+export function useShare() {
+  async function loadSharedItems() {
+    sharedItems.value = await shareApi.getSharedWithMe();
+  }
+
+  async function leaveShare(id: number) {
+    await shareApi.deleteShare(id);
+    await loadSharedItems();
+  }
+
+  return {
+    sharedItems,
+    loadSharedItems,
+    leaveShare,
+  };
+}
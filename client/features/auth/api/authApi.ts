@@ -1,7 +1,11 @@
 import type { User } from '~/entities/user';
+import { apiClient } from '~/shared/api';
+import type { AuthSession } from '../model/types';
 
 interface AuthResponse {
   token: string;
+  refresh_token: string;
+  expires_in: number;
   user: User;
 }
 
@@ -19,4 +23,26 @@ export const authApi = {
       body: { email, password },
     });
   },
+
+  async getSessions(): Promise<AuthSession[]> {
+    return apiClient.get<AuthSession[]>('/api/auth/sessions');
+  },
+
+  async revokeSession(id: number): Promise<void> {
+    await apiClient.delete(`/api/auth/sessions/${id}`);
+  },
+
+  async revokeOtherSessions(): Promise<{ revoked: number }> {
+    return apiClient.delete<{ revoked: number }>('/api/auth/sessions');
+  },
+
+  async changePassword(
+    currentPassword: string,
+    newPassword: string
+  ): Promise<{ revoked_sessions: number }> {
+    return apiClient.post<{ revoked_sessions: number }>('/api/auth/password', {
+      current_password: currentPassword,
+      new_password: newPassword,
+    });
+  },
 };
@@ -1,4 +1,7 @@
 export { useAuth } from './model/useAuth';
 export { authApi } from './api/authApi';
+export type { AuthSession } from './model/types';
 export { default as LoginForm } from './ui/LoginForm.vue';
 export { default as RegisterForm } from './ui/RegisterForm.vue';
+export { default as SessionList } from './ui/SessionList.vue';
+export { default as ChangePasswordForm } from './ui/ChangePasswordForm.vue';
@@ -0,0 +1,9 @@
+export interface AuthSession {
+  id: number;
+  user_agent: string;
+  ip_address: string;
+  created_at: string;
+  last_seen_at: string;
+  expires_at: string;
+  current: boolean;
+}
@@ -1,5 +1,7 @@
 import { useFolder } from '~/entities/folder';
-import { useFile } from '~/entities/file';
+import { useFile, fileApi } from '~/entities/file';
+import { revisionApi } from '~/entities/revision';
+import { useAttachment, type Attachment } from '~/entities/attachment';
 
 export function useFileManager() {
   const {
@@ -16,16 +18,30 @@ export function useFileManager() {
   const {
     files,
     selectedFile,
+    editorContent,
+    saveStatus,
+    versionConflict,
     loadFiles,
     createFile,
+    editContent,
     updateFile,
+    resolveConflict,
+    replaceContent,
+    renameFile,
     deleteFile,
     selectFile,
     closeFile,
   } = useFile();
 
+  const { attachments, loadAttachments, deleteAttachment, openAttachment } =
+    useAttachment();
+
   async function loadContents(folderId: number | null = null) {
-    await Promise.all([loadFolders(folderId), loadFiles(folderId)]);
+    await Promise.all([
+      loadFolders(folderId),
+      loadFiles(folderId),
+      loadAttachments(folderId),
+    ]);
   }
 
   async function navigateToFolder(id: number | null) {
@@ -33,6 +49,16 @@ export function useFileManager() {
     await loadContents(id);
   }
 
+  async function openFile(id: number, folderId: number | null) {
+    await navigateToFolder(folderId);
+    selectFile(await fileApi.getFile(id));
+  }
+
+  // Listings carry no content or role, so load the whole file before editing
+  async function viewFile(id: number) {
+    selectFile(await fileApi.getFile(id));
+  }
+
   async function handleCreateFolder(name: string) {
     await createFolder(name);
   }
@@ -47,12 +73,39 @@ export function useFileManager() {
 
   async function handleDeleteFile(id: number) {
     await deleteFile(id, currentFolderId.value);
+    // Attachments go to the trash along with their note
+    attachments.value = attachments.value.filter((a) => a.file_id !== id);
+  }
+
+  async function handleOpenAttachment(attachment: Attachment) {
+    await openAttachment(attachment.url, attachment.name);
+  }
+
+  async function handleDeleteAttachment(attachment: Attachment) {
+    await deleteAttachment(attachment);
   }
 
   async function handleUpdateFile(id: number, content: string) {
     await updateFile(id, content);
   }
 
+  async function handleRenameFile(
+    id: number,
+    name: string,
+    rewriteLinks: boolean
+  ) {
+    await renameFile(id, name, rewriteLinks, currentFolderId.value);
+  }
+
+  async function handleRestoreRevision(revisionId: number) {
+    if (!selectedFile.value) return;
+    const restored = await revisionApi.restoreRevision(
+      selectedFile.value.id,
+      revisionId
+    );
+    replaceContent(restored);
+  }
+
   function getBreadcrumbs() {
     if (currentFolderId.value === null) return [];
 
@@ -73,16 +126,28 @@ export function useFileManager() {
     currentFolderId,
     folders,
     files,
+    attachments,
     selectedFile,
+    editorContent,
+    saveStatus,
+    versionConflict,
     allFolders,
     loadContents,
     loadAllFolders,
     navigateToFolder,
+    openFile,
+    viewFile,
     createFolder: handleCreateFolder,
     createFile: handleCreateFile,
     deleteFolder: handleDeleteFolder,
     deleteFile: handleDeleteFile,
+    editContent,
     updateFile: handleUpdateFile,
+    resolveConflict,
+    renameFile: handleRenameFile,
+    restoreRevision: handleRestoreRevision,
+    openAttachment: handleOpenAttachment,
+    deleteAttachment: handleDeleteAttachment,
     selectFile,
     closeFile,
     getBreadcrumbs,
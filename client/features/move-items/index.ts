@@ -0,0 +1,14 @@
+export { useMoveItems } from './model/useMoveItems';
+export {
+  setDragItems,
+  hasDragItems,
+  getDragItems,
+  getDropMode,
+} from './model/dragData';
+export { default as NameConflictModal } from './ui/NameConflictModal.vue';
+export type {
+  ItemRef,
+  TransferMode,
+  TransferResult,
+  ConflictChoice,
+} from './model/types';
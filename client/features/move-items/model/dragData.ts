@@ -0,0 +1,28 @@
+import type { ItemRef, TransferMode } from './types';
+
+const DRAG_MIME = 'application/x-koalires-items';
+
+export function setDragItems(e: DragEvent, items: ItemRef[]) {
+  if (!e.dataTransfer) return;
+  e.dataTransfer.setData(DRAG_MIME, JSON.stringify(items));
+  e.dataTransfer.effectAllowed = 'copyMove';
+}
+
+export function hasDragItems(e: DragEvent): boolean {
+  return e.dataTransfer?.types.includes(DRAG_MIME) ?? false;
+}
+
+export function getDragItems(e: DragEvent): ItemRef[] {
+  const raw = e.dataTransfer?.getData(DRAG_MIME);
+  if (!raw) return [];
+  try {
+    return JSON.parse(raw) as ItemRef[];
+  } catch {
+    return [];
+  }
+}
+
+// Holding Ctrl, Alt or Cmd while dropping copies instead of moving
+export function getDropMode(e: DragEvent): TransferMode {
+  return e.ctrlKey || e.altKey || e.metaKey ? 'copy' : 'move';
+}
@@ -0,0 +1,20 @@
+export interface ItemRef {
+  type: 'file' | 'folder';
+  id: number;
+  name: string;
+}
+
+export type TransferMode = 'move' | 'copy';
+
+export type ConflictChoice = 'rename' | 'overwrite' | 'skip';
+
+export interface NameConflict {
+  item: ItemRef;
+  suggestedName: string;
+}
+
+export interface TransferResult {
+  done: ItemRef[];
+  skipped: ItemRef[];
+  failed: { item: ItemRef; message: string }[];
+}
@@ -0,0 +1,161 @@
+import type {
+  ConflictChoice,
+  ItemRef,
+  NameConflict,
+  TransferMode,
+  TransferResult,
+} from './types';
+import { fileApi } from '~/entities/file';
+import { folderApi } from '~/entities/folder';
+import type { ConflictStrategy } from '~/shared/api';
+
+interface PendingConflict extends NameConflict {
+  resolve: (choice: ConflictChoice, applyToAll: boolean) => void;
+}
+
+interface TransferError {
+  data?: {
+    message?: string;
+    data?: { code?: string; suggested_name?: string };
+  };
+}
+
+const selectedItems = ref<ItemRef[]>([]);
+const pendingConflict = ref<PendingConflict | null>(null);
+
+function isSameItem(a: ItemRef, b: ItemRef) {
+  return a.type === b.type && a.id === b.id;
+}
+
+export function useMoveItems() {
+  function isSelected(item: ItemRef) {
+    return selectedItems.value.some((s) => isSameItem(s, item));
+  }
+
+  function toggleSelection(item: ItemRef) {
+    if (isSelected(item)) {
+      selectedItems.value = selectedItems.value.filter(
+        (s) => !isSameItem(s, item)
+      );
+    } else {
+      selectedItems.value = [...selectedItems.value, item];
+    }
+  }
+
+  function clearSelection() {
+    selectedItems.value = [];
+  }
+
+  function askConflict(conflict: NameConflict) {
+    return new Promise<{ choice: ConflictChoice; applyToAll: boolean }>(
+      (resolve) => {
+        pendingConflict.value = {
+          ...conflict,
+          resolve: (choice, applyToAll) => {
+            pendingConflict.value = null;
+            resolve({ choice, applyToAll });
+          },
+        };
+      }
+    );
+  }
+
+  function resolveConflict(choice: ConflictChoice, applyToAll = false) {
+    pendingConflict.value?.resolve(choice, applyToAll);
+  }
+
+  async function transferItem(
+    item: ItemRef,
+    targetFolderId: number | null,
+    mode: TransferMode,
+    conflict?: ConflictStrategy
+  ) {
+    if (item.type === 'file') {
+      await (mode === 'move'
+        ? fileApi.moveFile(item.id, targetFolderId, conflict)
+        : fileApi.copyFile(item.id, targetFolderId, conflict));
+    } else {
+      await (mode === 'move'
+        ? folderApi.moveFolder(item.id, targetFolderId, conflict)
+        : folderApi.copyFolder(item.id, targetFolderId, conflict));
+    }
+  }
+
+  /**
+   * Moves or copies items one by one. Name collisions are handed to the
+   * conflict dialog, whose answer can be reused for the remaining items.
+   */
+  async function transferItems(
+    items: ItemRef[],
+    targetFolderId: number | null,
+    mode: TransferMode
+  ): Promise<TransferResult> {
+    const result: TransferResult = { done: [], skipped: [], failed: [] };
+    let rememberedChoice: ConflictChoice | null = null;
+
+    for (const item of items) {
+      if (item.type === 'folder' && item.id === targetFolderId) {
+        result.skipped.push(item);
+        continue;
+      }
+
+      try {
+        await transferItem(item, targetFolderId, mode);
+        result.done.push(item);
+        continue;
+      } catch (e: unknown) {
+        const err = e as TransferError;
+        if (err.data?.data?.code !== 'NAME_CONFLICT') {
+          result.failed.push({
+            item,
+            message: err.data?.message || `Failed to ${mode} "${item.name}"`,
+          });
+          continue;
+        }
+
+        let choice: ConflictChoice | null = rememberedChoice;
+        if (!choice) {
+          const answer = await askConflict({
+            item,
+            suggestedName: err.data.data.suggested_name ?? item.name,
+          });
+          choice = answer.choice;
+          if (answer.applyToAll) rememberedChoice = choice;
+        }
+
+        if (choice === 'skip') {
+          result.skipped.push(item);
+          continue;
+        }
+
+        try {
+          await transferItem(item, targetFolderId, mode, choice);
+          result.done.push(item);
+        } catch (retryError: unknown) {
+          const retryErr = retryError as TransferError;
+          result.failed.push({
+            item,
+            message:
+              retryErr.data?.message || `Failed to ${mode} "${item.name}"`,
+          });
+        }
+      }
+    }
+
+    selectedItems.value = selectedItems.value.filter(
+      (s) => !result.done.some((d) => isSameItem(d, s))
+    );
+
+    return result;
+  }
+
+  return {
+    selectedItems,
+    pendingConflict,
+    isSelected,
+    toggleSelection,
+    clearSelection,
+    resolveConflict,
+    transferItems,
+  };
+}
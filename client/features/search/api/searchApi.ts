@@ -0,0 +1,10 @@
+import type { SearchResult } from '../model/types';
+import { apiClient } from '~/shared/api';
+
+export const searchApi = {
+  async search(query: string): Promise<SearchResult[]> {
+    return apiClient.get<SearchResult[]>('/api/search', {
+      params: { q: query },
+    });
+  },
+};
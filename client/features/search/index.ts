@@ -0,0 +1,4 @@
+export { useSearch } from './model/useSearch';
+export { searchApi } from './api/searchApi';
+export { default as SearchBox } from './ui/SearchBox.vue';
+export type { SearchResult, SearchSegment } from './model/types';
@@ -0,0 +1,13 @@
+export interface SearchSegment {
+  text: string;
+  highlighted: boolean;
+}
+
+export interface SearchResult {
+  id: number;
+  folder_id: number | null;
+  name: string;
+  name_segments: SearchSegment[];
+  snippet_segments: SearchSegment[];
+  folder_path: { id: number; name: string }[];
+}
@@ -0,0 +1,61 @@
+import type { SearchResult } from './types';
+import { searchApi } from '../api/searchApi';
+
+const DEBOUNCE_MS = 200;
+
+export function useSearch() {
+  const query = ref('');
+  const results = ref<SearchResult[]>([]);
+  const loading = ref(false);
+
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  // Guards against slow responses overwriting results for a newer query
+  let requestId = 0;
+
+  async function runSearch(q: string) {
+    const current = ++requestId;
+    if (!q.trim()) {
+      results.value = [];
+      loading.value = false;
+      return;
+    }
+
+    loading.value = true;
+    try {
+      const found = await searchApi.search(q);
+      if (current === requestId) {
+        results.value = found;
+      }
+    } catch {
+      if (current === requestId) {
+        results.value = [];
+      }
+    } finally {
+      if (current === requestId) {
+        loading.value = false;
+      }
+    }
+  }
+
+  watch(query, (q) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => void runSearch(q), DEBOUNCE_MS);
+  });
+
+  onBeforeUnmount(() => clearTimeout(timer));
+
+  function clear() {
+    clearTimeout(timer);
+    requestId++;
+    query.value = '';
+    results.value = [];
+    loading.value = false;
+  }
+
+  return {
+    query,
+    results,
+    loading,
+    clear,
+  };
+}
@@ -0,0 +1,2 @@
+export { useShareItem } from './model/useShareItem';
+export { default as ShareModal } from './ui/ShareModal.vue';
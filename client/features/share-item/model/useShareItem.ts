@@ -0,0 +1,19 @@
+import type { ShareTarget } from '~/entities/share';
+
+const shareTarget = ref<ShareTarget | null>(null);
+
+export function useShareItem() {
+  function openShareDialog(target: ShareTarget) {
+    shareTarget.value = target;
+  }
+
+  function closeShareDialog() {
+    shareTarget.value = null;
+  }
+
+  return {
+    shareTarget,
+    openShareDialog,
+    closeShareDialog,
+  };
+}
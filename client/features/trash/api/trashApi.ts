@@ -0,0 +1,26 @@
+import type { RestoreResult, TrashItem } from '../model/types';
+import { apiClient, type ConflictStrategy } from '~/shared/api';
+
+export const trashApi = {
+  async getTrash(): Promise<TrashItem[]> {
+    return apiClient.get<TrashItem[]>('/api/trash');
+  },
+
+  async restoreItem(
+    item: TrashItem,
+    conflict?: ConflictStrategy
+  ): Promise<RestoreResult> {
+    return apiClient.post<RestoreResult>(
+      `/api/trash/${item.type}s/${item.id}/restore`,
+      { conflict }
+    );
+  },
+
+  async deleteItem(item: TrashItem): Promise<void> {
+    await apiClient.delete(`/api/trash/${item.type}s/${item.id}`);
+  },
+
+  async emptyTrash(): Promise<{ deleted: number }> {
+    return apiClient.delete<{ deleted: number }>('/api/trash');
+  },
+};
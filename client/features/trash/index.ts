@@ -0,0 +1,4 @@
+export { useTrash } from './model/useTrash';
+export { trashApi } from './api/trashApi';
+export { default as TrashModal } from './ui/TrashModal.vue';
+export type { TrashItem, RestoreResult } from './model/types';
@@ -0,0 +1,24 @@
+export type TrashItemType = 'file' | 'folder';
+
+export interface TrashItem {
+  type: TrashItemType;
+  id: number;
+  name: string;
+  original_parent_id: number | null;
+  // Folder names from the vault root to where the item was deleted
+  original_path: string[];
+  item_count: number;
+  deleted_at: string;
+  purge_at: string;
+}
+
+export interface RestoreResult {
+  id: number;
+  name: string;
+  created_folders: number;
+}
+
+export interface RestoreConflict {
+  item: TrashItem;
+  suggestedName: string;
+}
@@ -0,0 +1,77 @@
+import type { RestoreConflict, RestoreResult, TrashItem } from './types';
+import { trashApi } from '../api/trashApi';
+import type { ConflictStrategy } from '~/shared/api';
+
+interface RestoreError {
+  data?: {
+    data?: { code?: string; suggested_name?: string };
+  };
+}
+
+const items = ref<TrashItem[]>([]);
+const isLoading = ref(false);
+const restoreConflict = ref<RestoreConflict | null>(null);
+
+function isSameItem(a: TrashItem, b: TrashItem) {
+  return a.type === b.type && a.id === b.id;
+}
+
+export function useTrash() {
+  async function loadTrash() {
+    isLoading.value = true;
+    try {
+      items.value = await trashApi.getTrash();
+    } finally {
+      isLoading.value = false;
+    }
+  }
+
+  /**
+   * Puts an item back where it was deleted. A name collision at that
+   * location is kept in `restoreConflict` until the user picks a strategy,
+   * and resolves to `null`.
+   */
+  async function restoreItem(
+    item: TrashItem,
+    conflict?: ConflictStrategy
+  ): Promise<RestoreResult | null> {
+    restoreConflict.value = null;
+    try {
+      const result = await trashApi.restoreItem(item, conflict);
+      items.value = items.value.filter((i) => !isSameItem(i, item));
+      return result;
+    } catch (e: unknown) {
+      const data = (e as RestoreError).data?.data;
+      if (data?.code === 'NAME_CONFLICT' && data.suggested_name) {
+        restoreConflict.value = { item, suggestedName: data.suggested_name };
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  async function deleteItem(item: TrashItem) {
+    await trashApi.deleteItem(item);
+    items.value = items.value.filter((i) => !isSameItem(i, item));
+  }
+
+  async function emptyTrash() {
+    await trashApi.emptyTrash();
+    items.value = [];
+  }
+
+  function dismissConflict() {
+    restoreConflict.value = null;
+  }
+
+  return {
+    items,
+    isLoading,
+    restoreConflict,
+    loadTrash,
+    restoreItem,
+    deleteItem,
+    emptyTrash,
+    dismissConflict,
+  };
+}
@@ -0,0 +1,42 @@
+import type {
+  ImportConflictStrategy,
+  ImportReport,
+  VaultArchive,
+} from '../model/types';
+import { apiClient } from '~/shared/api';
+
+const DEFAULT_ARCHIVE_NAME = 'vault.zip';
+
+function parseFileName(disposition: string | null): string {
+  const match = disposition?.match(/filename\*=UTF-8''([^;]+)/);
+  return match?.[1] ? decodeURIComponent(match[1]) : DEFAULT_ARCHIVE_NAME;
+}
+
+export const vaultApi = {
+  // The archive name comes from the response headers, which apiClient does
+  // not expose
+  async exportVault(folderId: number | null): Promise<VaultArchive> {
+    const response = await $fetch.raw<Blob>('/api/export', {
+      params: folderId !== null ? { folder_id: folderId } : undefined,
+      responseType: 'blob',
+    });
+    return {
+      blob: response._data!,
+      fileName: parseFileName(response.headers.get('Content-Disposition')),
+    };
+  },
+
+  async importVault(
+    file: globalThis.File,
+    folderId: number | null,
+    conflict: ImportConflictStrategy
+  ): Promise<ImportReport> {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('conflict', conflict);
+    if (folderId !== null) {
+      body.append('folder_id', String(folderId));
+    }
+    return apiClient.post<ImportReport>('/api/import', body);
+  },
+};
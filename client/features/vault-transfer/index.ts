@@ -0,0 +1,8 @@
+export { useVaultTransfer } from './model/useVaultTransfer';
+export { vaultApi } from './api/vaultApi';
+export { default as ImportModal } from './ui/ImportModal.vue';
+export type {
+  ImportConflictStrategy,
+  ImportConflict,
+  ImportReport,
+} from './model/types';
@@ -0,0 +1,19 @@
+export type ImportConflictStrategy = 'skip' | 'rename' | 'overwrite';
+
+export interface ImportConflict {
+  path: string;
+  action: 'skipped' | 'renamed' | 'overwritten';
+  name: string;
+}
+
+export interface ImportReport {
+  created_folders: number;
+  created_files: number;
+  conflicts: ImportConflict[];
+  skipped: { path: string; reason: string }[];
+}
+
+export interface VaultArchive {
+  blob: Blob;
+  fileName: string;
+}
@@ -0,0 +1,42 @@
+import { vaultApi } from '../api/vaultApi';
+import type { ImportConflictStrategy, ImportReport } from './types';
+
+const isExporting = ref(false);
+const isImporting = ref(false);
+
+export function useVaultTransfer() {
+  async function exportVault(folderId: number | null) {
+    isExporting.value = true;
+    try {
+      const { blob, fileName } = await vaultApi.exportVault(folderId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      isExporting.value = false;
+    }
+  }
+
+  async function importVault(
+    file: globalThis.File,
+    folderId: number | null,
+    conflict: ImportConflictStrategy
+  ): Promise<ImportReport> {
+    isImporting.value = true;
+    try {
+      return await vaultApi.importVault(file, folderId, conflict);
+    } finally {
+      isImporting.value = false;
+    }
+  }
+
+  return {
+    isExporting,
+    isImporting,
+    exportVault,
+    importVault,
+  };
+}
@@ -1,4 +1,21 @@
 import { useAuthStore } from '~/shared/stores';
+import { getTokenExpiry } from '~/shared/lib';
+
+// Access tokens this close to expiring are renewed before the request
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// These routes authenticate by other means and must never trigger a refresh
+const AUTH_ROUTES = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+];
+
+function isAuthRoute(request: RequestInfo): boolean {
+  const url = typeof request === 'string' ? request : request.url;
+  return AUTH_ROUTES.some((route) => url.includes(route));
+}
 
 export default defineNuxtPlugin({
   name: 'ofetch',
@@ -6,7 +23,14 @@ export default defineNuxtPlugin({
     const authStore = useAuthStore();
 
     globalThis.$fetch = $fetch.create({
-      onRequest: ({ options }) => {
+      onRequest: async ({ request, options }) => {
+        if (authStore.jwt && !isAuthRoute(request)) {
+          const expiry = getTokenExpiry(authStore.jwt);
+          if (expiry !== null && expiry - Date.now() < REFRESH_MARGIN_MS) {
+            await authStore.refresh();
+          }
+        }
+
         const localJwt = authStore.jwt || localStorage.getItem('jwt');
         if (localJwt) {
           const headers = new Headers(options.headers);
@@ -14,6 +38,24 @@ export default defineNuxtPlugin({
           options.headers = headers;
         }
       },
+
+      // A rejected access token gets one retry after a refresh, the retried
+      // request picks up the new token in onRequest
+      onResponseError: async ({ request, response, options }) => {
+        if (
+          response.status !== 401 ||
+          isAuthRoute(request) ||
+          options.retry === 0 ||
+          options.retry === false
+        ) {
+          return;
+        }
+
+        if (await authStore.refresh()) {
+          options.retry = 1;
+          options.retryStatusCodes = [401];
+        }
+      },
     });
   },
 });
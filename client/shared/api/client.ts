@@ -1,5 +1,6 @@
 interface RequestOptions extends RequestInit {
   params?: Record<string, string | number | null | undefined>;
+  responseType?: 'json' | 'text' | 'blob' | 'arrayBuffer';
 }
 
 type RequestBody = BodyInit | Record<string, unknown> | null;
@@ -43,10 +44,16 @@ function buildUrl(
   return queryString ? `${url}?${queryString}` : url;
 }
 
-function createHeaders(customHeaders?: HeadersInit): HeadersInit {
-  const headers: Record<string, string> = {
-    'Content-Type': 'application/json',
-  };
+// Form data and binary bodies need the content type the browser picks,
+// which for form data includes the multipart boundary
+function createHeaders(
+  customHeaders?: HeadersInit,
+  body?: RequestBody
+): HeadersInit {
+  const headers: Record<string, string> = {};
+  if (!(body instanceof FormData || body instanceof Blob)) {
+    headers['Content-Type'] = 'application/json';
+  }
 
   const token = getToken();
   if (token) {
@@ -81,7 +88,7 @@ export const apiClient: ApiClient = {
     return (await $fetch(fullUrl, {
       ...rest,
       method: 'POST',
-      headers: createHeaders(options?.headers as HeadersInit),
+      headers: createHeaders(options?.headers as HeadersInit, body),
       body,
     })) as T;
   },
@@ -96,7 +103,7 @@ export const apiClient: ApiClient = {
     return (await $fetch(fullUrl, {
       ...rest,
       method: 'PUT',
-      headers: createHeaders(options?.headers as HeadersInit),
+      headers: createHeaders(options?.headers as HeadersInit, body),
       body,
     })) as T;
   },
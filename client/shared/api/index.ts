@@ -1 +1,2 @@
 export { apiClient } from './client';
+export type { ConflictStrategy } from './types';
@@ -0,0 +1,2 @@
+// How the server should resolve a name collision at the destination
+export type ConflictStrategy = 'rename' | 'overwrite';
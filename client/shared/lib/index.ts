@@ -1 +1,4 @@
 export * from './formatters';
+export * from './markdown';
+export * from './merge';
+export * from './jwt';
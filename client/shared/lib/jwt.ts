@@ -0,0 +1,16 @@
+/**
+ * Reads the expiry of a JWT in milliseconds without verifying it. Returns
+ * `null` when the token cannot be decoded or has no expiry.
+ */
+export function getTokenExpiry(token: string): number | null {
+  const payload = token.split('.')[1];
+  if (!payload) return null;
+
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(base64)) as { exp?: unknown };
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
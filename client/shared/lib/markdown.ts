@@ -0,0 +1,82 @@
+import { Marked, type Tokens } from 'marked';
+import DOMPurify from 'dompurify';
+
+// [[target]], [[target#heading]] and [[target|alias]]
+const WIKI_LINK_PATTERN =
+  /\[\[([^[\]|#\n]+)(#[^[\]|\n]*)?(?:\|([^[\]\n]*))?\]\]/;
+
+// Attachment downloads need the auth header, which an <img> cannot send
+const ATTACHMENT_URL_PATTERN = /^\/api\/attachments\/\d+$/;
+
+function normalizeTarget(target: string): string {
+  return target
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter((segment) => segment.length > 0)
+    .join('/');
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const marked = new Marked({ gfm: true });
+
+marked.use({
+  extensions: [
+    {
+      name: 'wikiLink',
+      level: 'inline',
+      start(src: string) {
+        return src.indexOf('[[');
+      },
+      tokenizer(src: string) {
+        const match = new RegExp(`^${WIKI_LINK_PATTERN.source}`).exec(src);
+        if (!match) return undefined;
+        return {
+          type: 'wikiLink',
+          raw: match[0],
+          target: normalizeTarget(match[1]!),
+          label: match[3]?.trim() || match[1]!.trim(),
+        };
+      },
+      renderer(token: Tokens.Generic) {
+        const target = escapeHtml(token.target as string);
+        const label = escapeHtml(token.label as string);
+        return `<a href="#" class="wiki-link" data-wiki-target="${target}">${label}</a>`;
+      },
+    },
+  ],
+  renderer: {
+    image({ href, title, text }) {
+      if (!ATTACHMENT_URL_PATTERN.test(href)) return false;
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return `<img data-attachment-src="${href}" alt="${escapeHtml(text)}"${titleAttr}>`;
+    },
+  },
+});
+
+/**
+ * Renders markdown to sanitised HTML. Wiki-links become anchors carrying the
+ * target in `data-wiki-target`, and attachment images carry their URL in
+ * `data-attachment-src` instead of `src`; resolving both is up to the caller.
+ */
+export function renderMarkdown(content: string): string {
+  if (!import.meta.client) return '';
+  const html = marked.parse(content, { async: false });
+  return DOMPurify.sanitize(html);
+}
+
+export function extractWikiLinks(content: string): string[] {
+  const targets = new Set<string>();
+  const pattern = new RegExp(WIKI_LINK_PATTERN.source, 'g');
+  for (const match of content.matchAll(pattern)) {
+    const target = normalizeTarget(match[1]!);
+    if (target) targets.add(target);
+  }
+  return [...targets];
+}
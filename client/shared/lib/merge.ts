@@ -0,0 +1,40 @@
+/**
+ * Combines two versions of a text into one, keeping the lines both share
+ * and wrapping the differing middle part in git-style conflict markers for
+ * the user to edit by hand.
+ */
+export function mergeWithMarkers(
+  mine: string,
+  theirs: string,
+  labels = { mine: 'Your changes', theirs: 'Saved version' }
+): string {
+  if (mine === theirs) return mine;
+
+  const mineLines = mine.split('\n');
+  const theirLines = theirs.split('\n');
+  const maxShared = Math.min(mineLines.length, theirLines.length);
+
+  let prefix = 0;
+  while (prefix < maxShared && mineLines[prefix] === theirLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < maxShared - prefix &&
+    mineLines[mineLines.length - 1 - suffix] ===
+      theirLines[theirLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [
+    ...mineLines.slice(0, prefix),
+    `<<<<<<< ${labels.mine}`,
+    ...mineLines.slice(prefix, mineLines.length - suffix),
+    '=======',
+    ...theirLines.slice(prefix, theirLines.length - suffix),
+    `>>>>>>> ${labels.theirs}`,
+    ...mineLines.slice(mineLines.length - suffix),
+  ].join('\n');
+}
@@ -4,13 +4,25 @@ import type { User } from '~/entities/user';
 interface AuthState {
   user: User | null;
   jwt: string;
+  refreshToken: string;
   _initialized: boolean;
 }
 
+interface AuthResponse {
+  token: string;
+  refresh_token: string;
+  user: User;
+}
+
+// Shared by every caller while a refresh is in flight, so concurrent
+// requests do not race each other with the same single-use refresh token
+let pendingRefresh: Promise<boolean> | null = null;
+
 export const useAuthStore = defineStore('auth', {
   state: (): AuthState => ({
     user: null,
     jwt: '',
+    refreshToken: '',
     _initialized: false,
   }),
 
@@ -23,32 +35,61 @@ export const useAuthStore = defineStore('auth', {
 
   actions: {
     async login(email: string, password: string) {
-      const response = await $fetch<{
-        token: string;
-        user: User;
-      }>('/api/auth/login', {
+      const response = await $fetch<AuthResponse>('/api/auth/login', {
         method: 'POST',
         body: { email, password },
       });
-      this._setAuth(response.user, response.token);
+      this._setAuth(response.user, response.token, response.refresh_token);
       return response;
     },
 
     async register(email: string, password: string) {
-      const response = await $fetch<{
-        token: string;
-        user: User;
-      }>('/api/auth/register', {
+      const response = await $fetch<AuthResponse>('/api/auth/register', {
         method: 'POST',
         body: { email, password },
       });
-      this._setAuth(response.user, response.token);
+      this._setAuth(response.user, response.token, response.refresh_token);
       return response;
     },
 
     async logout() {
-      await $fetch('/api/auth/logout', { method: 'DELETE' });
-      this._clearAuth();
+      try {
+        await $fetch('/api/auth/logout', {
+          method: 'DELETE',
+          body: { refresh_token: this.refreshToken || undefined },
+        });
+      } finally {
+        this._clearAuth();
+      }
+    },
+
+    /**
+     * Trades the refresh token for a new access token. Resolves to `false`
+     * and signs out when the session is gone.
+     */
+    refresh(): Promise<boolean> {
+      if (!this.refreshToken) return Promise.resolve(false);
+
+      pendingRefresh ??= $fetch<AuthResponse>('/api/auth/refresh', {
+        method: 'POST',
+        body: { refresh_token: this.refreshToken },
+      })
+        .then((response) => {
+          this._setAuth(response.user, response.token, response.refresh_token);
+          return true;
+        })
+        .catch((e: unknown) => {
+          // Network failures keep the session, the next request tries again
+          if ((e as { statusCode?: number }).statusCode !== undefined) {
+            this._clearAuth();
+          }
+          return false;
+        })
+        .finally(() => {
+          pendingRefresh = null;
+        });
+
+      return pendingRefresh;
     },
 
     async fetchUser() {
@@ -61,10 +102,12 @@ export const useAuthStore = defineStore('auth', {
       }
     },
 
-    _setAuth(user: User, jwt: string) {
+    _setAuth(user: User, jwt: string, refreshToken: string) {
       this.user = user;
       this.jwt = jwt;
+      this.refreshToken = refreshToken;
       localStorage.setItem('jwt', jwt);
+      localStorage.setItem('refresh_token', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       // Clean up old keys
       localStorage.removeItem('email');
@@ -74,7 +117,9 @@ export const useAuthStore = defineStore('auth', {
     _clearAuth() {
       this.user = null;
       this.jwt = '';
+      this.refreshToken = '';
       localStorage.removeItem('jwt');
+      localStorage.removeItem('refresh_token');
       localStorage.removeItem('user');
       // Clean up old keys
       localStorage.removeItem('email');
@@ -90,6 +135,7 @@ export const useAuthStore = defineStore('auth', {
       }
 
       this.jwt = localStorage.getItem('jwt') ?? '';
+      this.refreshToken = localStorage.getItem('refresh_token') ?? '';
       const userJson = localStorage.getItem('user');
       this.user = userJson ? JSON.parse(userJson) : null;
       this._initialized = true;
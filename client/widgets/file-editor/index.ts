@@ -1 +1,2 @@
 export { default as FileEditor } from './ui/FileEditor.vue';
+export { default as MarkdownPreview } from './ui/MarkdownPreview.vue';
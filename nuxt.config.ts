@@ -34,6 +34,14 @@ export default defineNuxtConfig({
   runtimeConfig: {
     jwtSecret: process.env.JWT_SECRET,
     databaseUrl: process.env.DATABASE_URL,
+    revisionLimit: Number(process.env.REVISION_LIMIT) || 50,
+    revisionWindowSeconds: Number(process.env.REVISION_WINDOW_SECONDS) || 600,
+    accessTokenTtl: Number(process.env.ACCESS_TOKEN_TTL) || 900,
+    refreshTokenTtl: Number(process.env.REFRESH_TOKEN_TTL) || 2592000,
+    trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    attachmentDir: process.env.ATTACHMENT_DIR || './database/attachments',
+    attachmentMaxSize: Number(process.env.ATTACHMENT_MAX_SIZE) || 26214400,
+    attachmentQuota: Number(process.env.ATTACHMENT_QUOTA) || 524288000,
   },
 
   dir: {
@@ -0,0 +1,32 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { deleteAttachment } from '~~/server/database/repositories/attachments';
+import { requireFileAccess } from '../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid attachment ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const attachment = await prisma.attachment.findUnique({
+    where: {
+      id: id,
+    },
+  });
+  if (!attachment) {
+    throw createError({ statusCode: 404, message: 'Attachment not found' });
+  }
+
+  await requireFileAccess(user.userId, attachment.fileId, 'write');
+  await deleteAttachment(attachment);
+
+  return { success: true };
+});
@@ -0,0 +1,33 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { requireFileAccess } from '../../utils/access';
+import { sendAttachment } from '../../utils/attachments';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid attachment ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const attachment = await prisma.attachment.findUnique({
+    where: {
+      id: id,
+    },
+  });
+  if (!attachment) {
+    throw createError({ statusCode: 404, message: 'Attachment not found' });
+  }
+
+  // Attachments are readable by whoever can read their note, and stay
+  // hidden while the note is in the trash
+  await requireFileAccess(user.userId, attachment.fileId);
+
+  return sendAttachment(event, attachment);
+});
@@ -0,0 +1,42 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { getListingOwnerId } from '../../utils/access';
+import { toAttachmentResponse } from '../../utils/attachments';
+import '~~/server/types';
+
+// Attachments are listed next to the notes they belong to
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const query = getQuery(event);
+  const folderId = query.folder_id ? Number(query.folder_id) : null;
+
+  const ownerId = await getListingOwnerId(user.userId, folderId);
+
+  const prisma = usePrisma();
+
+  const attachments = await prisma.attachment.findMany({
+    where: {
+      userId: ownerId,
+      file: {
+        folderId: folderId,
+        deletedAt: null,
+      },
+    },
+    orderBy: {
+      name: 'asc',
+    },
+    include: {
+      file: {
+        select: { name: true },
+      },
+    },
+  });
+
+  return attachments.map((attachment) => ({
+    ...toAttachmentResponse(attachment),
+    file_name: attachment.file.name,
+  }));
+});
@@ -0,0 +1,17 @@
+import { getAttachmentUsage } from '~~/server/database/repositories/attachments';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const { attachmentMaxSize, attachmentQuota } = useRuntimeConfig();
+
+  return {
+    used: await getAttachmentUsage(user.userId),
+    quota: attachmentQuota,
+    max_size: attachmentMaxSize,
+  };
+});
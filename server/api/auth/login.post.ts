@@ -1,7 +1,6 @@
-import { signToken } from '../../utils/jwt';
 import { compareHashedPassword } from '../../utils/bcrypt';
+import { startSession } from '../../utils/session';
 import { getUserByEmail } from '~~/server/database/repositories/users';
-import { addJwtToken } from '~~/server/database/repositories/jwt';
 import type { LoginRequestBody } from '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -33,11 +32,10 @@ export default defineEventHandler(async (event) => {
     });
   }
 
-  const token = await signToken(user.email);
-  await addJwtToken(normalizedEmail, token);
+  const tokens = await startSession(event, user);
 
   return {
-    token,
+    ...tokens,
     user: {
       id: user.id,
       email: user.email,
@@ -1,32 +1,40 @@
 import { getAuthHeader } from '../../utils/auth';
 import { verifyToken } from '../../utils/jwt';
-import { deleteJwtToken } from '~~/server/database/repositories/jwt';
+import {
+  deleteSession,
+  deleteSessionByRefreshToken,
+  getActiveSession,
+} from '~~/server/database/repositories/sessions';
+import type { LogoutRequestBody } from '~~/server/types';
 
 export default defineEventHandler(async (event) => {
   const token = getAuthHeader(event);
+  const body = await readBody<LogoutRequestBody | undefined>(event);
+  const refreshToken = body?.refresh_token;
 
-  if (!token) {
+  if (!token && !refreshToken) {
     throw createError({
       statusCode: 401,
       message: 'Missing authorization token',
     });
   }
 
-  const payload = await verifyToken(token);
-  if (!payload) {
-    throw createError({
-      statusCode: 401,
-      message: 'Invalid or expired token',
-    });
+  // An expired access token cannot identify the session anymore, so the
+  // refresh token is accepted as well
+  const payload = token ? await verifyToken(token) : null;
+  if (payload) {
+    const session = await getActiveSession(payload.sessionId);
+    if (session && (await deleteSession(session.id, session.userId))) {
+      return { success: true };
+    }
   }
 
-  const deleted = await deleteJwtToken(token);
-  if (!deleted) {
-    throw createError({
-      statusCode: 404,
-      message: 'Token not found',
-    });
+  if (refreshToken && (await deleteSessionByRefreshToken(refreshToken))) {
+    return { success: true };
   }
 
-  return { success: true };
+  throw createError({
+    statusCode: 404,
+    message: 'Session not found',
+  });
 });
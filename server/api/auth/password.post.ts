@@ -0,0 +1,59 @@
+import { compareHashedPassword, hashPassword } from '../../utils/bcrypt';
+import { deleteOtherSessions } from '~~/server/database/repositories/sessions';
+import {
+  getUserById,
+  updateUserPassword,
+} from '~~/server/database/repositories/users';
+import type { ChangePasswordRequestBody } from '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const body = await readBody<ChangePasswordRequestBody>(event);
+  const { current_password, new_password } = body ?? {};
+
+  if (!current_password || !new_password) {
+    throw createError({
+      statusCode: 400,
+      message: 'Current and new password are required',
+    });
+  }
+
+  if (new_password.length < 6) {
+    throw createError({
+      statusCode: 400,
+      message: 'Password must be at least 6 characters',
+    });
+  }
+
+  const account = await getUserById(user.userId);
+  if (!account) {
+    throw createError({ statusCode: 401, message: 'User not found' });
+  }
+
+  if (!compareHashedPassword(current_password, account.passwordHash)) {
+    throw createError({
+      statusCode: 400,
+      message: 'Current password is incorrect',
+    });
+  }
+
+  const updated = await updateUserPassword(
+    account.id,
+    hashPassword(new_password)
+  );
+  if (!updated) {
+    throw createError({
+      statusCode: 500,
+      message: 'Failed to change password',
+    });
+  }
+
+  // Anyone holding the old password loses access on their devices too
+  const revoked = await deleteOtherSessions(account.id, user.sessionId);
+
+  return { success: true, revoked_sessions: revoked };
+});
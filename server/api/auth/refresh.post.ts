@@ -0,0 +1,38 @@
+import { toSessionTokens } from '../../utils/session';
+import { rotateRefreshToken } from '~~/server/database/repositories/sessions';
+import type { RefreshRequestBody } from '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody<RefreshRequestBody>(event);
+  const { refresh_token } = body ?? {};
+
+  if (!refresh_token || typeof refresh_token !== 'string') {
+    throw createError({
+      statusCode: 400,
+      message: 'Refresh token is required',
+    });
+  }
+
+  const rotated = await rotateRefreshToken(refresh_token);
+  if (!rotated) {
+    throw createError({
+      statusCode: 401,
+      message: 'Session has expired or been revoked',
+    });
+  }
+
+  const { session, refreshToken } = rotated;
+  const tokens = await toSessionTokens(
+    session.user.email,
+    session.id,
+    refreshToken
+  );
+
+  return {
+    ...tokens,
+    user: {
+      id: session.user.id,
+      email: session.user.email,
+    },
+  };
+});
@@ -1,8 +1,7 @@
-import { signToken } from '../../utils/jwt';
 import { hashPassword } from '../../utils/bcrypt';
+import { startSession } from '../../utils/session';
 import { usePrisma } from '~~/server/composables/prisma';
 import { isUserExistsByEmail } from '~~/server/database/repositories/users';
-import { addJwtToken } from '~~/server/database/repositories/jwt';
 import type { RegisterRequestBody } from '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -43,11 +42,10 @@ export default defineEventHandler(async (event) => {
     },
   });
 
-  const token = await signToken(user.email);
-  await addJwtToken(normalizedEmail, token);
+  const tokens = await startSession(event, user);
 
   return {
-    token,
+    ...tokens,
     user: {
       id: user.id,
       email: user.email,
@@ -0,0 +1,21 @@
+import '~~/server/types';
+import { deleteSession } from '~~/server/database/repositories/sessions';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid session ID' });
+  }
+
+  const deleted = await deleteSession(id, user.userId);
+  if (!deleted) {
+    throw createError({ statusCode: 404, message: 'Session not found' });
+  }
+
+  return { success: true, current: id === user.sessionId };
+});
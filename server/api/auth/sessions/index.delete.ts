@@ -0,0 +1,14 @@
+import '~~/server/types';
+import { deleteOtherSessions } from '~~/server/database/repositories/sessions';
+
+// Signs out every device except the one making the request
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const revoked = await deleteOtherSessions(user.userId, user.sessionId);
+
+  return { revoked };
+});
@@ -0,0 +1,21 @@
+import '~~/server/types';
+import { getUserSessions } from '~~/server/database/repositories/sessions';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const sessions = await getUserSessions(user.userId);
+
+  return sessions.map((session) => ({
+    id: session.id,
+    user_agent: session.userAgent,
+    ip_address: session.ipAddress,
+    created_at: session.createdAt,
+    last_seen_at: session.lastSeenAt,
+    expires_at: session.expiresAt,
+    current: session.id === user.sessionId,
+  }));
+});
@@ -0,0 +1,127 @@
+import { Zip, ZipDeflate, ZipPassThrough, strToU8 } from 'fflate';
+import { usePrisma } from '~~/server/composables/prisma';
+import { toZipSegment } from '../../utils/zip';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const query = getQuery(event);
+  const rootId = query.folder_id ? Number(query.folder_id) : null;
+  if (rootId !== null && isNaN(rootId)) {
+    throw createError({ statusCode: 400, message: 'Invalid folder ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const folders = await prisma.folder.findMany({
+    where: {
+      userId: user.userId,
+      deletedAt: null,
+    },
+    orderBy: {
+      name: 'asc',
+    },
+    select: {
+      id: true,
+      parentId: true,
+      name: true,
+      updatedAt: true,
+    },
+  });
+
+  const root = rootId !== null ? folders.find((f) => f.id === rootId) : null;
+  if (rootId !== null && !root) {
+    throw createError({ statusCode: 404, message: 'Folder not found' });
+  }
+
+  // Zip paths of every exported folder; a subtree export keeps the folder
+  // itself as the top-level directory
+  const paths = new Map<number | null, string>();
+  const queue: { id: number | null; path: string }[] = [];
+  if (root) {
+    queue.push({ id: root.id, path: `${toZipSegment(root.name)}/` });
+  } else {
+    queue.push({ id: null, path: '' });
+  }
+
+  while (queue.length > 0) {
+    const { id, path } = queue.shift()!;
+    paths.set(id, path);
+    for (const child of folders.filter((f) => f.parentId === id)) {
+      queue.push({
+        id: child.id,
+        path: `${path}${toZipSegment(child.name)}/`,
+      });
+    }
+  }
+
+  const stream = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      const zip = new Zip((error, chunk, final) => {
+        if (error) {
+          controller.error(error);
+          return;
+        }
+        controller.enqueue(chunk);
+        if (final) {
+          controller.close();
+        }
+      });
+
+      try {
+        for (const [folderId, path] of paths) {
+          const folder = folders.find((f) => f.id === folderId);
+          if (folder) {
+            // Directory entries keep empty folders and their timestamps
+            const dir = new ZipPassThrough(path);
+            dir.mtime = folder.updatedAt;
+            zip.add(dir);
+            dir.push(new Uint8Array(0), true);
+          }
+
+          // Contents are loaded one folder at a time to bound memory use
+          const files = await prisma.file.findMany({
+            where: {
+              userId: user.userId,
+              folderId: folderId,
+              deletedAt: null,
+            },
+            orderBy: {
+              name: 'asc',
+            },
+            select: {
+              name: true,
+              content: true,
+              updatedAt: true,
+            },
+          });
+
+          for (const file of files) {
+            const entry = new ZipDeflate(`${path}${toZipSegment(file.name)}`, {
+              level: 6,
+            });
+            entry.mtime = file.updatedAt;
+            zip.add(entry);
+            entry.push(strToU8(file.content), true);
+          }
+        }
+        zip.end();
+      } catch (error) {
+        zip.terminate();
+        controller.error(error);
+      }
+    },
+  });
+
+  const fileName = `${root ? root.name : 'koalires-vault'}.zip`;
+  setResponseHeaders(event, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+  });
+
+  return sendStream(event, stream);
+});
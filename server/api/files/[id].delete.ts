@@ -1,4 +1,5 @@
 import { usePrisma } from '~~/server/composables/prisma';
+import { trashFile } from '../../utils/trash';
 import '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -18,6 +19,7 @@ export default defineEventHandler(async (event) => {
     where: {
       id: id,
       userId: user.userId,
+      deletedAt: null,
     },
   });
 
@@ -25,11 +27,9 @@ export default defineEventHandler(async (event) => {
     throw createError({ statusCode: 404, message: 'File not found' });
   }
 
-  await prisma.file.delete({
-    where: {
-      id: id,
-    },
-  });
+  // The file stays in the trash, and in the search index, until it is
+  // restored or purged
+  await trashFile(prisma, file);
 
   return { success: true };
 });
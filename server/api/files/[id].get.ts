@@ -1,4 +1,5 @@
-import { usePrisma } from '~~/server/composables/prisma';
+import { requireFileAccess } from '../../utils/access';
+import { toETag } from '../../utils/version';
 import '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -12,18 +13,9 @@ export default defineEventHandler(async (event) => {
     throw createError({ statusCode: 400, message: 'Invalid file ID' });
   }
 
-  const prisma = usePrisma();
+  const { file, role } = await requireFileAccess(user.userId, id);
 
-  const file = await prisma.file.findFirst({
-    where: {
-      id: id,
-      userId: user.userId,
-    },
-  });
-
-  if (!file) {
-    throw createError({ statusCode: 404, message: 'File not found' });
-  }
+  setResponseHeader(event, 'ETag', toETag(file.version));
 
   return {
     id: file.id,
@@ -31,7 +23,9 @@ export default defineEventHandler(async (event) => {
     folder_id: file.folderId,
     name: file.name,
     content: file.content,
+    version: file.version,
     created_at: file.createdAt,
     updated_at: file.updatedAt,
+    role: role,
   };
 });
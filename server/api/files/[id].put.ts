@@ -1,5 +1,18 @@
 import { Prisma } from '@prisma/client';
 import { usePrisma } from '~~/server/composables/prisma';
+import { addFileRevision } from '~~/server/database/repositories/revisions';
+import { indexFile } from '~~/server/database/repositories/search';
+import {
+  findBacklinks,
+  updateFileLinks,
+} from '~~/server/database/repositories/links';
+import { getFileAccess, requireFileAccess } from '../../utils/access';
+import {
+  createVersionConflictError,
+  parseExpectedVersion,
+  toETag,
+} from '../../utils/version';
+import { rewriteWikiLinks } from '../../utils/wikiLinks';
 import type { UpdateFileRequestBody } from '~~/server/types';
 import '~~/server/types';
 
@@ -15,20 +28,15 @@ export default defineEventHandler(async (event) => {
   }
 
   const body = await readBody<UpdateFileRequestBody>(event);
-  const { name, content } = body;
+  const { name, content, rewrite_links } = body;
+  const expectedVersion = parseExpectedVersion(
+    body.version,
+    getHeader(event, 'if-match')
+  );
 
   const prisma = usePrisma();
 
-  const file = await prisma.file.findFirst({
-    where: {
-      id: id,
-      userId: user.userId,
-    },
-  });
-
-  if (!file) {
-    throw createError({ statusCode: 404, message: 'File not found' });
-  }
+  const { file, role } = await requireFileAccess(user.userId, id, 'write');
 
   const updateData: { name?: string; content?: string } = {};
 
@@ -54,13 +62,87 @@ export default defineEventHandler(async (event) => {
     throw createError({ statusCode: 400, message: 'No fields to update' });
   }
 
+  // Only content writes are versioned, so a rename never conflicts with an
+  // editor that has the file open
+  const checkVersion =
+    expectedVersion !== null && updateData.content !== undefined;
+  if (checkVersion && file.version !== expectedVersion) {
+    throw createVersionConflictError(file);
+  }
+
+  // Backlinks have to be collected while the file still has its old name
+  let backlinks =
+    rewrite_links && updateData.name && updateData.name !== file.name
+      ? await findBacklinks(file.userId, file)
+      : [];
+
+  // Collaborators only rewrite linking notes they could edit themselves
+  if (role !== 'owner') {
+    const writable = await Promise.all(
+      backlinks.map(async ({ source }) => {
+        const access = await getFileAccess(user.userId, source.id);
+        return access !== null && access.role !== 'viewer';
+      })
+    );
+    backlinks = backlinks.filter((_, i) => writable[i]);
+  }
+
   try {
-    const updated = await prisma.file.update({
+    // Repeating the version condition in the write closes the gap between
+    // the check above and this update
+    const { count } = await prisma.file.updateMany({
       where: {
         id: id,
+        ...(checkVersion && { version: expectedVersion }),
+      },
+      data: {
+        ...updateData,
+        ...(updateData.content !== undefined && {
+          version: { increment: 1 },
+        }),
       },
-      data: updateData,
     });
+    const updated = await prisma.file.findUnique({
+      where: {
+        id: id,
+      },
+    });
+    if (!updated) {
+      throw createError({ statusCode: 404, message: 'File not found' });
+    }
+    if (count === 0) {
+      throw createVersionConflictError(updated);
+    }
+
+    if (updateData.content !== undefined) {
+      await addFileRevision(updated.id, updated.content, file.content);
+      await updateFileLinks(updated);
+    }
+    await indexFile(updated);
+
+    for (const { source, targets } of backlinks) {
+      const rewritten = rewriteWikiLinks(
+        source.content,
+        (target) => targets.includes(target),
+        updated.name
+      );
+      if (rewritten === source.content) continue;
+
+      const updatedSource = await prisma.file.update({
+        where: {
+          id: source.id,
+        },
+        data: {
+          content: rewritten,
+          version: { increment: 1 },
+        },
+      });
+      await addFileRevision(source.id, rewritten, source.content);
+      await indexFile(updatedSource);
+      await updateFileLinks(updatedSource);
+    }
+
+    setResponseHeader(event, 'ETag', toETag(updated.version));
 
     return {
       id: updated.id,
@@ -68,8 +150,10 @@ export default defineEventHandler(async (event) => {
       folder_id: updated.folderId,
       name: updated.name,
       content: updated.content,
+      version: updated.version,
       created_at: updated.createdAt,
       updated_at: updated.updatedAt,
+      role: role,
     };
   } catch (error: unknown) {
     if (
@@ -0,0 +1,31 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { requireFileAccess } from '../../../../utils/access';
+import { toAttachmentResponse } from '../../../../utils/attachments';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  await requireFileAccess(user.userId, id);
+
+  const prisma = usePrisma();
+
+  const attachments = await prisma.attachment.findMany({
+    where: {
+      fileId: id,
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+
+  return attachments.map(toAttachmentResponse);
+});
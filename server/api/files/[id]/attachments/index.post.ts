@@ -0,0 +1,65 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { createAttachment } from '~~/server/database/repositories/attachments';
+import { requireFileAccess } from '../../../../utils/access';
+import {
+  assertAttachmentQuota,
+  createStorageKey,
+  formatBytes,
+  toAttachmentResponse,
+  validateUpload,
+} from '../../../../utils/attachments';
+import '~~/server/types';
+
+// Room for the multipart boundaries and headers around the file itself
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const { file } = await requireFileAccess(user.userId, id, 'write');
+
+  // Oversized uploads are turned away before the body is read into memory
+  const { attachmentMaxSize } = useRuntimeConfig();
+  const contentLength = Number(getRequestHeader(event, 'content-length'));
+  if (contentLength > attachmentMaxSize + MULTIPART_OVERHEAD_BYTES) {
+    throw createError({
+      statusCode: 413,
+      message: `Attachments can be at most ${formatBytes(attachmentMaxSize)}`,
+    });
+  }
+
+  const parts = await readMultipartFormData(event);
+  const upload = parts?.find((part) => part.name === 'file' && part.filename);
+  if (!upload) {
+    throw createError({ statusCode: 400, message: 'A file is required' });
+  }
+
+  const { name, mimeType } = validateUpload(upload);
+
+  // Attachments count against the quota of the note's owner, also when an
+  // editor uploads them
+  await assertAttachmentQuota(usePrisma(), file.userId, upload.data.length);
+
+  const attachment = await createAttachment(
+    {
+      userId: file.userId,
+      fileId: file.id,
+      name,
+      mimeType,
+      size: upload.data.length,
+      storageKey: createStorageKey(file.userId),
+    },
+    upload.data
+  );
+
+  setResponseStatus(event, 201);
+  return toAttachmentResponse(attachment);
+});
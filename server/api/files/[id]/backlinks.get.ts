@@ -0,0 +1,35 @@
+import { findBacklinks } from '~~/server/database/repositories/links';
+import { getFileAccess, requireFileAccess } from '../../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const { file, role } = await requireFileAccess(user.userId, id);
+
+  let backlinks = await findBacklinks(file.userId, file);
+
+  // Collaborators only learn about linking notes they can open themselves
+  if (role !== 'owner') {
+    const visible = await Promise.all(
+      backlinks.map(({ source }) => getFileAccess(user.userId, source.id))
+    );
+    backlinks = backlinks.filter((_, i) => visible[i] !== null);
+  }
+
+  return backlinks
+    .map(({ source }) => ({
+      id: source.id,
+      folder_id: source.folderId,
+      name: source.name,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+});
@@ -0,0 +1,48 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { getLinkableItems } from '~~/server/database/repositories/links';
+import { requireFileAccess } from '../../../utils/access';
+import { resolveWikiLink } from '../../../utils/wikiLinks';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const { file } = await requireFileAccess(user.userId, id);
+
+  const links = await prisma.fileLink.findMany({
+    where: {
+      sourceId: file.id,
+    },
+    select: { target: true },
+    orderBy: { target: 'asc' },
+  });
+
+  const { files, folders } = await getLinkableItems(file.userId);
+
+  // Links are stored as written, so resolve them now to reflect renames and
+  // notes created after the last save
+  return links.map((link) => {
+    const resolved = resolveWikiLink(
+      link.target,
+      file.folderId,
+      files,
+      folders
+    );
+    return {
+      target: link.target,
+      file_id: resolved?.id ?? null,
+      folder_id: resolved?.folderId ?? null,
+      broken: resolved === null,
+    };
+  });
+});
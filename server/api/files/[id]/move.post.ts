@@ -0,0 +1,120 @@
+import { Prisma } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+import { indexFile } from '~~/server/database/repositories/search';
+import {
+  parseConflictStrategy,
+  resolveNameConflict,
+} from '../../../utils/tree';
+import { trashFile } from '../../../utils/trash';
+import type { FileTargetRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const body = await readBody<FileTargetRequestBody>(event);
+  const folderId = body.folder_id ? Number(body.folder_id) : null;
+  const conflict = parseConflictStrategy(body.conflict);
+
+  const prisma = usePrisma();
+
+  const file = await prisma.file.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+      deletedAt: null,
+    },
+  });
+
+  if (!file) {
+    throw createError({ statusCode: 404, message: 'File not found' });
+  }
+
+  if (folderId !== null) {
+    const folder = await prisma.folder.findFirst({
+      where: {
+        id: folderId,
+        userId: user.userId,
+        deletedAt: null,
+      },
+      select: { id: true },
+    });
+    if (!folder) {
+      throw createError({ statusCode: 404, message: 'Folder not found' });
+    }
+  }
+
+  if (file.folderId === folderId) {
+    return {
+      id: file.id,
+      user_id: file.userId,
+      folder_id: file.folderId,
+      name: file.name,
+    };
+  }
+
+  const siblings = await prisma.file.findMany({
+    where: {
+      userId: user.userId,
+      folderId: folderId,
+      deletedAt: null,
+    },
+    select: { id: true, name: true },
+  });
+
+  const { name, replaceId } = resolveNameConflict(
+    'file',
+    file.name,
+    siblings,
+    conflict
+  );
+
+  try {
+    const updated = await prisma.$transaction(async (tx) => {
+      // The overwritten file goes to the trash instead of being lost
+      if (replaceId !== null) {
+        await trashFile(
+          tx,
+          await tx.file.findUniqueOrThrow({ where: { id: replaceId } })
+        );
+      }
+      return tx.file.update({
+        where: {
+          id: id,
+        },
+        data: {
+          folderId: folderId,
+          name: name,
+        },
+      });
+    });
+
+    await indexFile(updated);
+
+    return {
+      id: updated.id,
+      user_id: updated.userId,
+      folder_id: updated.folderId,
+      name: updated.name,
+    };
+  } catch (error: unknown) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === 'P2002'
+    ) {
+      throw createError({
+        statusCode: 409,
+        message: 'A file with this name already exists in this location',
+      });
+    }
+    throw error;
+  }
+});
@@ -0,0 +1,42 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { requireFileAccess } from '../../../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const revisionId = Number(getRouterParam(event, 'revisionId'));
+  if (isNaN(revisionId)) {
+    throw createError({ statusCode: 400, message: 'Invalid revision ID' });
+  }
+
+  await requireFileAccess(user.userId, id);
+
+  const prisma = usePrisma();
+
+  const revision = await prisma.fileRevision.findFirst({
+    where: {
+      id: revisionId,
+      fileId: id,
+    },
+  });
+
+  if (!revision) {
+    throw createError({ statusCode: 404, message: 'Revision not found' });
+  }
+
+  return {
+    id: revision.id,
+    file_id: revision.fileId,
+    content: revision.content,
+    created_at: revision.createdAt,
+  };
+});
@@ -0,0 +1,66 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { addFileRevision } from '~~/server/database/repositories/revisions';
+import { indexFile } from '~~/server/database/repositories/search';
+import { updateFileLinks } from '~~/server/database/repositories/links';
+import { requireFileAccess } from '../../../../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const revisionId = Number(getRouterParam(event, 'revisionId'));
+  if (isNaN(revisionId)) {
+    throw createError({ statusCode: 400, message: 'Invalid revision ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const { file } = await requireFileAccess(user.userId, id, 'write');
+
+  const revision = await prisma.fileRevision.findFirst({
+    where: {
+      id: revisionId,
+      fileId: id,
+    },
+    select: { content: true },
+  });
+
+  if (!revision) {
+    throw createError({ statusCode: 404, message: 'Revision not found' });
+  }
+
+  // Restoring lands on top of the history as a step of its own, so the
+  // content it replaced stays restorable too
+  const updated = await prisma.file.update({
+    where: {
+      id: id,
+    },
+    data: {
+      content: revision.content,
+      version: { increment: 1 },
+    },
+  });
+
+  await addFileRevision(updated.id, updated.content, file.content, false);
+  await indexFile(updated);
+  await updateFileLinks(updated);
+
+  return {
+    id: updated.id,
+    user_id: updated.userId,
+    folder_id: updated.folderId,
+    name: updated.name,
+    content: updated.content,
+    version: updated.version,
+    created_at: updated.createdAt,
+    updated_at: updated.updatedAt,
+  };
+});
@@ -0,0 +1,53 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { diffLines } from '../../../../utils/diff';
+import { requireFileAccess } from '../../../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  // `to` is optional and defaults to the file's current content
+  const query = getQuery(event);
+  const fromId = Number(query.from);
+  const toId = query.to ? Number(query.to) : null;
+  if (isNaN(fromId) || (toId !== null && isNaN(toId))) {
+    throw createError({ statusCode: 400, message: 'Invalid revision ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const { file } = await requireFileAccess(user.userId, id);
+
+  const revisionIds = toId === null ? [fromId] : [fromId, toId];
+  const revisions = await prisma.fileRevision.findMany({
+    where: {
+      id: { in: revisionIds },
+      fileId: id,
+    },
+    select: { id: true, content: true },
+  });
+
+  const from = revisions.find((revision) => revision.id === fromId);
+  const to =
+    toId === null
+      ? { id: null, content: file.content }
+      : revisions.find((revision) => revision.id === toId);
+
+  if (!from || !to) {
+    throw createError({ statusCode: 404, message: 'Revision not found' });
+  }
+
+  return {
+    from: from.id,
+    to: to.id,
+    lines: diffLines(from.content, to.content),
+  };
+});
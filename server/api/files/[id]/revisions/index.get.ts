@@ -0,0 +1,39 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { requireFileAccess } from '../../../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const prisma = usePrisma();
+
+  await requireFileAccess(user.userId, id);
+
+  const revisions = await prisma.fileRevision.findMany({
+    where: {
+      fileId: id,
+    },
+    orderBy: {
+      id: 'desc',
+    },
+    select: {
+      id: true,
+      fileId: true,
+      createdAt: true,
+    },
+  });
+
+  return revisions.map((revision) => ({
+    id: revision.id,
+    file_id: revision.fileId,
+    created_at: revision.createdAt,
+  }));
+});
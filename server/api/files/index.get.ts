@@ -1,4 +1,5 @@
 import { usePrisma } from '~~/server/composables/prisma';
+import { getListingOwnerId } from '../../utils/access';
 import '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -10,12 +11,15 @@ export default defineEventHandler(async (event) => {
   const query = getQuery(event);
   const folderId = query.folder_id ? Number(query.folder_id) : null;
 
+  const ownerId = await getListingOwnerId(user.userId, folderId);
+
   const prisma = usePrisma();
 
   const files = await prisma.file.findMany({
     where: {
-      userId: user.userId,
+      userId: ownerId,
       folderId: folderId,
+      deletedAt: null,
     },
     orderBy: {
       name: 'asc',
@@ -1,5 +1,7 @@
 import { Prisma } from '@prisma/client';
 import { usePrisma } from '~~/server/composables/prisma';
+import { indexFile } from '~~/server/database/repositories/search';
+import { requireFolderAccess } from '../../utils/access';
 import type { CreateFileRequestBody } from '~~/server/types';
 import '~~/server/types';
 
@@ -25,34 +27,32 @@ export default defineEventHandler(async (event) => {
 
   const prisma = usePrisma();
 
-  if (folderId !== null) {
-    const folder = await prisma.folder.findFirst({
-      where: {
-        id: folderId,
-        userId: user.userId,
-      },
-    });
-    if (!folder) {
-      throw createError({ statusCode: 404, message: 'Folder not found' });
-    }
-  }
+  // Files created by an editor inside a shared folder belong to its owner
+  const ownerId =
+    folderId !== null
+      ? (await requireFolderAccess(user.userId, folderId, 'write')).folder
+          .userId
+      : user.userId;
 
   try {
     const file = await prisma.file.create({
       data: {
-        userId: user.userId,
+        userId: ownerId,
         folderId: folderId,
         name: trimmedName,
         content: '',
       },
     });
 
+    await indexFile(file);
+
     return {
       id: file.id,
       user_id: file.userId,
       folder_id: file.folderId,
       name: file.name,
       content: file.content,
+      version: file.version,
     };
   } catch (error: unknown) {
     if (
@@ -1,4 +1,5 @@
 import { usePrisma } from '~~/server/composables/prisma';
+import { trashFolder } from '../../utils/trash';
 import '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -18,18 +19,14 @@ export default defineEventHandler(async (event) => {
     where: {
       id: id,
       userId: user.userId,
+      deletedAt: null,
     },
-    select: { id: true },
   });
   if (!folder) {
     throw createError({ statusCode: 404, message: 'Folder not found' });
   }
 
-  await prisma.folder.delete({
-    where: {
-      id: id,
-    },
-  });
+  await prisma.$transaction((tx) => trashFolder(tx, folder));
 
   return { success: true };
 });
@@ -28,6 +28,7 @@ export default defineEventHandler(async (event) => {
     where: {
       id: id,
       userId: user.userId,
+      deletedAt: null,
     },
     select: { id: true, parentId: true },
   });
@@ -0,0 +1,112 @@
+import { Prisma } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+import {
+  isFolderWithin,
+  parseConflictStrategy,
+  resolveNameConflict,
+} from '../../../utils/tree';
+import { trashFolder } from '../../../utils/trash';
+import type { FolderTargetRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid folder ID' });
+  }
+
+  const body = await readBody<FolderTargetRequestBody>(event);
+  const parentId = body.parent_id ? Number(body.parent_id) : null;
+  const conflict = parseConflictStrategy(body.conflict);
+
+  const prisma = usePrisma();
+
+  const folders = await prisma.folder.findMany({
+    where: {
+      userId: user.userId,
+      deletedAt: null,
+    },
+    select: { id: true, parentId: true, name: true },
+  });
+
+  const folder = folders.find((f) => f.id === id);
+  if (!folder) {
+    throw createError({ statusCode: 404, message: 'Folder not found' });
+  }
+
+  if (parentId !== null && !folders.some((f) => f.id === parentId)) {
+    throw createError({ statusCode: 404, message: 'Parent folder not found' });
+  }
+
+  if (isFolderWithin(folders, parentId, id)) {
+    throw createError({
+      statusCode: 400,
+      message: 'A folder cannot be moved into itself or one of its subfolders',
+    });
+  }
+
+  if (folder.parentId === parentId) {
+    return {
+      id: folder.id,
+      parent_id: folder.parentId,
+      name: folder.name,
+    };
+  }
+
+  const { name, replaceId } = resolveNameConflict(
+    'folder',
+    folder.name,
+    folders.filter((f) => f.parentId === parentId),
+    conflict
+  );
+
+  if (replaceId !== null && isFolderWithin(folders, id, replaceId)) {
+    throw createError({
+      statusCode: 409,
+      message: 'A folder cannot overwrite a folder that contains it',
+    });
+  }
+
+  try {
+    const updated = await prisma.$transaction(async (tx) => {
+      // The overwritten folder goes to the trash with everything inside it
+      if (replaceId !== null) {
+        await trashFolder(
+          tx,
+          await tx.folder.findUniqueOrThrow({ where: { id: replaceId } })
+        );
+      }
+      return tx.folder.update({
+        where: {
+          id: id,
+        },
+        data: {
+          parentId: parentId,
+          name: name,
+        },
+      });
+    });
+
+    return {
+      id: updated.id,
+      parent_id: updated.parentId,
+      name: updated.name,
+    };
+  } catch (error: unknown) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === 'P2002'
+    ) {
+      throw createError({
+        statusCode: 409,
+        message: 'A folder with this name already exists in this location',
+      });
+    }
+    throw error;
+  }
+});
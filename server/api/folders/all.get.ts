@@ -12,6 +12,7 @@ export default defineEventHandler(async (event) => {
   const folders = await prisma.folder.findMany({
     where: {
       userId: user.userId,
+      deletedAt: null,
     },
     orderBy: {
       name: 'asc',
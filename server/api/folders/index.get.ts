@@ -1,4 +1,5 @@
 import { usePrisma } from '~~/server/composables/prisma';
+import { getListingOwnerId } from '../../utils/access';
 import '~~/server/types';
 
 export default defineEventHandler(async (event) => {
@@ -10,12 +11,15 @@ export default defineEventHandler(async (event) => {
   const query = getQuery(event);
   const parentId = query.parent_id ? Number(query.parent_id) : null;
 
+  const ownerId = await getListingOwnerId(user.userId, parentId);
+
   const prisma = usePrisma();
 
   const folders = await prisma.folder.findMany({
     where: {
-      userId: user.userId,
+      userId: ownerId,
       parentId: parentId,
+      deletedAt: null,
     },
     orderBy: {
       name: 'asc',
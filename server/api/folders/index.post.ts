@@ -1,5 +1,6 @@
 import { Prisma } from '@prisma/client';
 import { usePrisma } from '~~/server/composables/prisma';
+import { getFolderAccess } from '../../utils/access';
 import type { CreateFolderRequestBody } from '~~/server/types';
 import '~~/server/types';
 
@@ -21,26 +22,29 @@ export default defineEventHandler(async (event) => {
 
   const prisma = usePrisma();
 
+  // Folders created by an editor inside a shared folder belong to its owner
+  let ownerId = user.userId;
   if (parentId !== null) {
-    const parentFolder = await prisma.folder.findFirst({
-      where: {
-        id: parentId,
-        userId: user.userId,
-      },
-      select: { id: true },
-    });
-    if (!parentFolder) {
+    const access = await getFolderAccess(user.userId, parentId);
+    if (!access) {
       throw createError({
         statusCode: 404,
         message: 'Parent folder not found',
       });
     }
+    if (access.role === 'viewer') {
+      throw createError({
+        statusCode: 403,
+        message: 'You only have view access to this folder',
+      });
+    }
+    ownerId = access.folder.userId;
   }
 
   try {
     const folder = await prisma.folder.create({
       data: {
-        userId: user.userId,
+        userId: ownerId,
         parentId: parentId,
         name: trimmedName,
       },
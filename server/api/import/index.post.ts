@@ -0,0 +1,249 @@
+import { strFromU8, unzipSync } from 'fflate';
+import { usePrisma } from '~~/server/composables/prisma';
+import { addFileRevision } from '~~/server/database/repositories/revisions';
+import { indexFile } from '~~/server/database/repositories/search';
+import { updateFileLinks } from '~~/server/database/repositories/links';
+import { getAvailableName } from '../../utils/tree';
+import { readZipTimestamps } from '../../utils/zip';
+import '~~/server/types';
+
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+type ImportConflictStrategy = 'skip' | 'rename' | 'overwrite';
+
+interface ImportConflict {
+  path: string;
+  action: 'skipped' | 'renamed' | 'overwritten';
+  name: string;
+}
+
+interface SkippedEntry {
+  path: string;
+  reason: string;
+}
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const parts = await readMultipartFormData(event);
+  const archive = parts?.find((part) => part.name === 'file');
+  const fields = new Map(
+    (parts ?? [])
+      .filter((part) => part.name && !part.filename)
+      .map((part) => [part.name!, part.data.toString('utf8')])
+  );
+
+  if (!archive || archive.data.length === 0) {
+    throw createError({ statusCode: 400, message: 'A zip file is required' });
+  }
+  if (archive.data.length > MAX_ARCHIVE_BYTES) {
+    throw createError({
+      statusCode: 413,
+      message: 'Archive is larger than 50 MB',
+    });
+  }
+
+  const conflict = (fields.get('conflict') ?? 'skip') as ImportConflictStrategy;
+  if (!['skip', 'rename', 'overwrite'].includes(conflict)) {
+    throw createError({
+      statusCode: 400,
+      message: 'Conflict must be "skip", "rename" or "overwrite"',
+    });
+  }
+
+  const targetId = fields.get('folder_id')
+    ? Number(fields.get('folder_id'))
+    : null;
+  if (targetId !== null && isNaN(targetId)) {
+    throw createError({ statusCode: 400, message: 'Invalid folder ID' });
+  }
+
+  const prisma = usePrisma();
+
+  if (targetId !== null) {
+    const target = await prisma.folder.findFirst({
+      where: {
+        id: targetId,
+        userId: user.userId,
+        deletedAt: null,
+      },
+      select: { id: true },
+    });
+    if (!target) {
+      throw createError({ statusCode: 404, message: 'Folder not found' });
+    }
+  }
+
+  const skipped: SkippedEntry[] = [];
+  let entries: Record<string, Uint8Array>;
+  let unpackedBytes = 0;
+  try {
+    entries = unzipSync(archive.data, {
+      filter: (file) => {
+        unpackedBytes += file.originalSize;
+        if (unpackedBytes > MAX_UNPACKED_BYTES) {
+          skipped.push({ path: file.name, reason: 'Archive is too large' });
+          return false;
+        }
+        return true;
+      },
+    });
+  } catch {
+    throw createError({ statusCode: 400, message: 'Invalid zip file' });
+  }
+
+  const timestamps = readZipTimestamps(archive.data);
+  const folderIds = new Map<string, number | null>([['', targetId]]);
+  const conflicts: ImportConflict[] = [];
+  let createdFolders = 0;
+  let createdFiles = 0;
+
+  // Reuses an existing folder with the same name, so importing into a
+  // populated folder merges the trees
+  async function ensureFolder(segments: string[]): Promise<number | null> {
+    let parentId = targetId;
+    for (let i = 0; i < segments.length; i++) {
+      const key = segments.slice(0, i + 1).join('/');
+      const cached = folderIds.get(key);
+      if (cached !== undefined) {
+        parentId = cached;
+        continue;
+      }
+
+      const name = segments[i]!;
+      const existing = await prisma.folder.findFirst({
+        where: {
+          userId: user!.userId,
+          parentId: parentId,
+          name: name,
+          deletedAt: null,
+        },
+        select: { id: true },
+      });
+
+      if (existing) {
+        parentId = existing.id;
+      } else {
+        const modifiedAt = timestamps.get(`${key}/`);
+        const folder = await prisma.folder.create({
+          data: {
+            userId: user!.userId,
+            parentId: parentId,
+            name: name,
+            ...(modifiedAt && { createdAt: modifiedAt, updatedAt: modifiedAt }),
+          },
+        });
+        createdFolders++;
+        parentId = folder.id;
+      }
+      folderIds.set(key, parentId);
+    }
+    return parentId;
+  }
+
+  const paths = Object.keys(entries).sort();
+
+  for (const path of paths) {
+    const segments = path
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter((segment) => segment.length > 0);
+
+    if (segments.some((segment) => segment === '..' || segment === '.')) {
+      skipped.push({ path, reason: 'Invalid path' });
+      continue;
+    }
+    if (
+      segments.some(
+        (segment) => segment.startsWith('.') || segment === '__MACOSX'
+      )
+    ) {
+      skipped.push({ path, reason: 'Hidden or system entry' });
+      continue;
+    }
+    if (segments.length === 0) continue;
+
+    if (path.endsWith('/')) {
+      await ensureFolder(segments);
+      continue;
+    }
+
+    const name = segments[segments.length - 1]!;
+    if (!name.toLowerCase().endsWith('.md')) {
+      skipped.push({ path, reason: 'Not a markdown file' });
+      continue;
+    }
+
+    const folderId = await ensureFolder(segments.slice(0, -1));
+    const content = strFromU8(entries[path]!);
+    const modifiedAt = timestamps.get(path);
+
+    const siblings = await prisma.file.findMany({
+      where: {
+        userId: user.userId,
+        folderId: folderId,
+        deletedAt: null,
+      },
+      select: { id: true, name: true, content: true },
+    });
+    const existing = siblings.find((sibling) => sibling.name === name);
+
+    if (existing && conflict === 'skip') {
+      conflicts.push({ path, action: 'skipped', name });
+      continue;
+    }
+
+    if (existing && conflict === 'overwrite') {
+      const updated = await prisma.file.update({
+        where: {
+          id: existing.id,
+        },
+        data: {
+          content: content,
+          version: { increment: 1 },
+        },
+      });
+      await addFileRevision(updated.id, updated.content, existing.content);
+      await indexFile(updated);
+      await updateFileLinks(updated);
+      conflicts.push({ path, action: 'overwritten', name });
+      continue;
+    }
+
+    const fileName = existing
+      ? getAvailableName(
+          name,
+          siblings.map((sibling) => sibling.name),
+          true
+        )
+      : name;
+
+    const file = await prisma.file.create({
+      data: {
+        userId: user.userId,
+        folderId: folderId,
+        name: fileName,
+        content: content,
+        ...(modifiedAt && { createdAt: modifiedAt, updatedAt: modifiedAt }),
+      },
+    });
+    await indexFile(file);
+    await updateFileLinks(file);
+    createdFiles++;
+
+    if (existing) {
+      conflicts.push({ path, action: 'renamed', name: fileName });
+    }
+  }
+
+  return {
+    created_folders: createdFolders,
+    created_files: createdFiles,
+    conflicts,
+    skipped,
+  };
+});
@@ -0,0 +1,53 @@
+import { getLinkableItems } from '~~/server/database/repositories/links';
+import { requireFileAccess } from '../../utils/access';
+import { resolveWikiLink } from '../../utils/wikiLinks';
+import type { ResolveLinksRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+const MAX_TARGETS = 500;
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const body = await readBody<ResolveLinksRequestBody>(event);
+  const { targets, file_id, folder_id } = body;
+
+  if (
+    !Array.isArray(targets) ||
+    targets.length > MAX_TARGETS ||
+    !targets.every((target) => typeof target === 'string')
+  ) {
+    throw createError({
+      statusCode: 400,
+      message: `Targets must be a list of at most ${MAX_TARGETS} strings`,
+    });
+  }
+
+  // Links in a shared note point into the owner's vault, as in links.get
+  let ownerId = user.userId;
+  let folderId = folder_id ? Number(folder_id) : null;
+  if (file_id) {
+    const fileId = Number(file_id);
+    if (isNaN(fileId)) {
+      throw createError({ statusCode: 400, message: 'Invalid file ID' });
+    }
+    const { file } = await requireFileAccess(user.userId, fileId);
+    ownerId = file.userId;
+    folderId = file.folderId;
+  }
+
+  const { files, folders } = await getLinkableItems(ownerId);
+
+  return targets.map((target) => {
+    const resolved = resolveWikiLink(target, folderId, files, folders);
+    return {
+      target,
+      file_id: resolved?.id ?? null,
+      folder_id: resolved?.folderId ?? null,
+      broken: resolved === null,
+    };
+  });
+});
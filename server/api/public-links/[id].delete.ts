@@ -0,0 +1,35 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid link ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const link = await prisma.publicLink.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+    },
+    select: { id: true },
+  });
+  if (!link) {
+    throw createError({ statusCode: 404, message: 'Link not found' });
+  }
+
+  await prisma.publicLink.delete({
+    where: {
+      id: id,
+    },
+  });
+
+  return { success: true };
+});
@@ -0,0 +1,36 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const query = getQuery(event);
+  const fileId = Number(query.file_id);
+  if (!query.file_id || isNaN(fileId)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const links = await prisma.publicLink.findMany({
+    where: {
+      fileId: fileId,
+      userId: user.userId,
+      file: { deletedAt: null },
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+
+  return links.map((link) => ({
+    id: link.id,
+    file_id: link.fileId,
+    token: link.token,
+    expires_at: link.expiresAt,
+    created_at: link.createdAt,
+  }));
+});
@@ -0,0 +1,63 @@
+import { randomBytes } from 'node:crypto';
+import { usePrisma } from '~~/server/composables/prisma';
+import type { CreatePublicLinkRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const body = await readBody<CreatePublicLinkRequestBody>(event);
+  const { file_id, expires_at } = body;
+
+  const fileId = Number(file_id);
+  if (!file_id || isNaN(fileId)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const expiresAt = expires_at ? new Date(expires_at) : null;
+  if (expiresAt && isNaN(expiresAt.getTime())) {
+    throw createError({ statusCode: 400, message: 'Invalid expiry date' });
+  }
+  if (expiresAt && expiresAt.getTime() <= Date.now()) {
+    throw createError({
+      statusCode: 400,
+      message: 'Expiry date must be in the future',
+    });
+  }
+
+  const prisma = usePrisma();
+
+  // Only the owner can publish a note
+  const file = await prisma.file.findFirst({
+    where: {
+      id: fileId,
+      userId: user.userId,
+      deletedAt: null,
+    },
+    select: { id: true },
+  });
+
+  if (!file) {
+    throw createError({ statusCode: 404, message: 'File not found' });
+  }
+
+  const link = await prisma.publicLink.create({
+    data: {
+      token: randomBytes(24).toString('base64url'),
+      userId: user.userId,
+      fileId: file.id,
+      expiresAt: expiresAt,
+    },
+  });
+
+  return {
+    id: link.id,
+    file_id: link.fileId,
+    token: link.token,
+    expires_at: link.expiresAt,
+    created_at: link.createdAt,
+  };
+});
@@ -0,0 +1,12 @@
+import { requirePublicLink } from '../../utils/access';
+
+export default defineEventHandler(async (event) => {
+  const link = await requirePublicLink(getRouterParam(event, 'token'));
+
+  return {
+    name: link.file.name,
+    content: link.file.content,
+    updated_at: link.file.updatedAt,
+    expires_at: link.expiresAt,
+  };
+});
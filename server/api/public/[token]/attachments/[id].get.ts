@@ -0,0 +1,26 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { requirePublicLink } from '../../../../utils/access';
+import { sendAttachment } from '../../../../utils/attachments';
+
+// Visitors of a public link can load the attachments of that note only
+export default defineEventHandler(async (event) => {
+  const link = await requirePublicLink(getRouterParam(event, 'token'));
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid attachment ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const attachment = await prisma.attachment.findUnique({
+    where: {
+      id: id,
+    },
+  });
+  if (!attachment || attachment.fileId !== link.fileId) {
+    throw createError({ statusCode: 404, message: 'Attachment not found' });
+  }
+
+  return sendAttachment(event, attachment);
+});
@@ -0,0 +1,66 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { searchFiles } from '~~/server/database/repositories/search';
+import '~~/server/types';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const query = getQuery(event);
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length === 0) {
+    return [];
+  }
+
+  // SQLite treats a negative LIMIT as no limit at all
+  const limit = Math.min(
+    Math.max(Math.trunc(Number(query.limit)) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const prisma = usePrisma();
+
+  const [hits, folders] = await Promise.all([
+    searchFiles(user.userId, q, limit),
+    prisma.folder.findMany({
+      where: {
+        userId: user.userId,
+        deletedAt: null,
+      },
+      select: {
+        id: true,
+        parentId: true,
+        name: true,
+      },
+    }),
+  ]);
+
+  const folderMap = new Map(folders.map((folder) => [folder.id, folder]));
+
+  function getFolderPath(folderId: number | null) {
+    const path: { id: number; name: string }[] = [];
+    let current = folderId !== null ? folderMap.get(folderId) : undefined;
+
+    while (current) {
+      path.unshift({ id: current.id, name: current.name });
+      current =
+        current.parentId !== null ? folderMap.get(current.parentId) : undefined;
+    }
+
+    return path;
+  }
+
+  return hits.map((hit) => ({
+    id: hit.id,
+    folder_id: hit.folderId,
+    name: hit.name,
+    name_segments: hit.nameSegments,
+    snippet_segments: hit.snippetSegments,
+    folder_path: getFolderPath(hit.folderId),
+  }));
+});
@@ -0,0 +1,36 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid share ID' });
+  }
+
+  const prisma = usePrisma();
+
+  // The owner revokes a share, the recipient can leave it
+  const share = await prisma.share.findFirst({
+    where: {
+      id: id,
+      OR: [{ ownerId: user.userId }, { userId: user.userId }],
+    },
+    select: { id: true },
+  });
+  if (!share) {
+    throw createError({ statusCode: 404, message: 'Share not found' });
+  }
+
+  await prisma.share.delete({
+    where: {
+      id: id,
+    },
+  });
+
+  return { success: true };
+});
@@ -0,0 +1,56 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { parseShareRole } from '../../utils/access';
+import type { UpdateShareRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid share ID' });
+  }
+
+  const body = await readBody<UpdateShareRequestBody>(event);
+  const role = parseShareRole(body.role);
+
+  const prisma = usePrisma();
+
+  const share = await prisma.share.findFirst({
+    where: {
+      id: id,
+      ownerId: user.userId,
+    },
+    include: {
+      user: {
+        select: { email: true },
+      },
+    },
+  });
+
+  if (!share) {
+    throw createError({ statusCode: 404, message: 'Share not found' });
+  }
+
+  const updated = await prisma.share.update({
+    where: {
+      id: id,
+    },
+    data: {
+      role: role,
+    },
+  });
+
+  return {
+    id: updated.id,
+    file_id: updated.fileId,
+    folder_id: updated.folderId,
+    user_id: updated.userId,
+    email: share.user.email,
+    role: updated.role,
+    created_at: updated.createdAt,
+  };
+});
@@ -0,0 +1,42 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { parseShareTarget, requireOwnedShareTarget } from '../../utils/access';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const query = getQuery(event);
+  const target = parseShareTarget(query.file_id, query.folder_id);
+  await requireOwnedShareTarget(user.userId, target);
+
+  const prisma = usePrisma();
+
+  const shares = await prisma.share.findMany({
+    where: {
+      ownerId: user.userId,
+      fileId: target.fileId,
+      folderId: target.folderId,
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+    include: {
+      user: {
+        select: { email: true },
+      },
+    },
+  });
+
+  return shares.map((share) => ({
+    id: share.id,
+    file_id: share.fileId,
+    folder_id: share.folderId,
+    user_id: share.userId,
+    email: share.user.email,
+    role: share.role,
+    created_at: share.createdAt,
+  }));
+});
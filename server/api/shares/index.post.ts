@@ -0,0 +1,80 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { getUserByEmail } from '~~/server/database/repositories/users';
+import {
+  parseShareRole,
+  parseShareTarget,
+  requireOwnedShareTarget,
+} from '../../utils/access';
+import type { CreateShareRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const body = await readBody<CreateShareRequestBody>(event);
+  const { file_id, folder_id, email } = body;
+
+  const target = parseShareTarget(file_id, folder_id);
+  const role = parseShareRole(body.role);
+
+  if (!email || typeof email !== 'string') {
+    throw createError({ statusCode: 400, message: 'Email is required' });
+  }
+
+  await requireOwnedShareTarget(user.userId, target);
+
+  const recipient = await getUserByEmail(email.trim().toLowerCase());
+  if (!recipient) {
+    throw createError({ statusCode: 404, message: 'User not found' });
+  }
+  if (recipient.id === user.userId) {
+    throw createError({
+      statusCode: 400,
+      message: 'You cannot share with yourself',
+    });
+  }
+
+  const prisma = usePrisma();
+
+  // Sharing again with the same user only changes the role
+  const existing = await prisma.share.findFirst({
+    where: {
+      userId: recipient.id,
+      fileId: target.fileId,
+      folderId: target.folderId,
+    },
+    select: { id: true },
+  });
+
+  const share = existing
+    ? await prisma.share.update({
+        where: {
+          id: existing.id,
+        },
+        data: {
+          role: role,
+        },
+      })
+    : await prisma.share.create({
+        data: {
+          ownerId: user.userId,
+          userId: recipient.id,
+          fileId: target.fileId,
+          folderId: target.folderId,
+          role: role,
+        },
+      });
+
+  return {
+    id: share.id,
+    file_id: share.fileId,
+    folder_id: share.folderId,
+    user_id: share.userId,
+    email: recipient.email,
+    role: share.role,
+    created_at: share.createdAt,
+  };
+});
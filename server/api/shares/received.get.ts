@@ -0,0 +1,45 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const prisma = usePrisma();
+
+  const shares = await prisma.share.findMany({
+    where: {
+      userId: user.userId,
+      OR: [{ file: { deletedAt: null } }, { folder: { deletedAt: null } }],
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+    include: {
+      owner: {
+        select: { email: true },
+      },
+      file: {
+        select: { id: true, folderId: true, name: true },
+      },
+      folder: {
+        select: { id: true, parentId: true, name: true },
+      },
+    },
+  });
+
+  return shares
+    .map((share) => ({
+      id: share.id,
+      type: share.file ? ('file' as const) : ('folder' as const),
+      item_id: share.file?.id ?? share.folder?.id ?? 0,
+      parent_id: share.file?.folderId ?? share.folder?.parentId ?? null,
+      name: share.file?.name ?? share.folder?.name ?? '',
+      owner_email: share.owner.email,
+      role: share.role,
+      created_at: share.createdAt,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+});
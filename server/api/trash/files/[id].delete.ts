@@ -0,0 +1,42 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { pruneAttachmentBlobs } from '~~/server/database/repositories/attachments';
+import { removeFileFromIndex } from '~~/server/database/repositories/search';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const file = await prisma.file.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+      deletedAt: { not: null },
+      originalPath: { not: null },
+    },
+    select: { id: true },
+  });
+  if (!file) {
+    throw createError({ statusCode: 404, message: 'File not found in trash' });
+  }
+
+  await prisma.file.delete({
+    where: {
+      id: id,
+    },
+  });
+
+  await removeFileFromIndex(id);
+  await pruneAttachmentBlobs();
+
+  return { success: true };
+});
@@ -0,0 +1,45 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { parseConflictStrategy } from '../../../../utils/tree';
+import { restoreFile } from '../../../../utils/trash';
+import type { RestoreRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid file ID' });
+  }
+
+  const body = await readBody<RestoreRequestBody | undefined>(event);
+  const conflict = parseConflictStrategy(body?.conflict);
+
+  const prisma = usePrisma();
+
+  const file = await prisma.file.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+      deletedAt: { not: null },
+      originalPath: { not: null },
+    },
+  });
+  if (!file) {
+    throw createError({ statusCode: 404, message: 'File not found in trash' });
+  }
+
+  const { file: restored, createdFolders } = await prisma.$transaction((tx) =>
+    restoreFile(tx, file, conflict)
+  );
+
+  return {
+    id: restored.id,
+    folder_id: restored.folderId,
+    name: restored.name,
+    created_folders: createdFolders,
+  };
+});
@@ -0,0 +1,47 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { pruneAttachmentBlobs } from '~~/server/database/repositories/attachments';
+import { pruneSearchIndex } from '~~/server/database/repositories/search';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid folder ID' });
+  }
+
+  const prisma = usePrisma();
+
+  const folder = await prisma.folder.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+      deletedAt: { not: null },
+      originalPath: { not: null },
+    },
+    select: { id: true },
+  });
+  if (!folder) {
+    throw createError({
+      statusCode: 404,
+      message: 'Folder not found in trash',
+    });
+  }
+
+  await prisma.folder.delete({
+    where: {
+      id: id,
+    },
+  });
+
+  // Nested files and their attachments are removed by the cascade, so
+  // clear their index rows and stored contents too
+  await pruneSearchIndex();
+  await pruneAttachmentBlobs();
+
+  return { success: true };
+});
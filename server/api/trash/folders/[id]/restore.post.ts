@@ -0,0 +1,48 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { parseConflictStrategy } from '../../../../utils/tree';
+import { restoreFolder } from '../../../../utils/trash';
+import type { RestoreRequestBody } from '~~/server/types';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const id = Number(getRouterParam(event, 'id'));
+  if (isNaN(id)) {
+    throw createError({ statusCode: 400, message: 'Invalid folder ID' });
+  }
+
+  const body = await readBody<RestoreRequestBody | undefined>(event);
+  const conflict = parseConflictStrategy(body?.conflict);
+
+  const prisma = usePrisma();
+
+  const folder = await prisma.folder.findFirst({
+    where: {
+      id: id,
+      userId: user.userId,
+      deletedAt: { not: null },
+      originalPath: { not: null },
+    },
+  });
+  if (!folder) {
+    throw createError({
+      statusCode: 404,
+      message: 'Folder not found in trash',
+    });
+  }
+
+  const { folder: restored, createdFolders } = await prisma.$transaction((tx) =>
+    restoreFolder(tx, folder, conflict)
+  );
+
+  return {
+    id: restored.id,
+    parent_id: restored.parentId,
+    name: restored.name,
+    created_folders: createdFolders,
+  };
+});
@@ -0,0 +1,13 @@
+import { purgeTrash } from '../../utils/trash';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const deleted = await purgeTrash(user.userId, null);
+
+  return { success: true, deleted };
+});
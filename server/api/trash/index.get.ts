@@ -0,0 +1,67 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import { getPurgeDate, parseOriginalPath } from '../../utils/trash';
+import '~~/server/types';
+
+export default defineEventHandler(async (event) => {
+  const user = event.context.user;
+  if (!user) {
+    throw createError({ statusCode: 401, message: 'Not authenticated' });
+  }
+
+  const prisma = usePrisma();
+
+  // Only the items that were deleted are listed, not everything inside a
+  // deleted folder
+  const where = {
+    userId: user.userId,
+    deletedAt: { not: null },
+    originalPath: { not: null },
+  };
+
+  const [files, folders] = await Promise.all([
+    prisma.file.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        originalFolderId: true,
+        originalPath: true,
+        deletedAt: true,
+      },
+    }),
+    prisma.folder.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        originalParentId: true,
+        originalPath: true,
+        deletedAt: true,
+        _count: { select: { children: true, files: true } },
+      },
+    }),
+  ]);
+
+  return [
+    ...folders.map((folder) => ({
+      type: 'folder' as const,
+      id: folder.id,
+      name: folder.name,
+      original_parent_id: folder.originalParentId,
+      original_path: parseOriginalPath(folder.originalPath),
+      item_count: folder._count.children + folder._count.files,
+      deleted_at: folder.deletedAt!,
+      purge_at: getPurgeDate(folder.deletedAt!),
+    })),
+    ...files.map((file) => ({
+      type: 'file' as const,
+      id: file.id,
+      name: file.name,
+      original_parent_id: file.originalFolderId,
+      original_path: parseOriginalPath(file.originalPath),
+      item_count: 0,
+      deleted_at: file.deletedAt!,
+      purge_at: getPurgeDate(file.deletedAt!),
+    })),
+  ].sort((a, b) => b.deleted_at.getTime() - a.deleted_at.getTime());
+});
@@ -0,0 +1,73 @@
+import type { Attachment } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+import { useAttachmentStorage } from '~~/server/utils/storage';
+
+// Blobs this fresh may belong to an upload whose row is not written yet
+const ORPHAN_GRACE_MS = 10 * 60 * 1000;
+
+export const getAttachmentUsage = async (userId: number): Promise<number> => {
+  const db = usePrisma();
+  const { _sum } = await db.attachment.aggregate({
+    where: { userId },
+    _sum: { size: true },
+  });
+  return _sum.size ?? 0;
+};
+
+/**
+ * Stores the contents first and records the attachment afterwards, so a row
+ * never points at a missing blob.
+ */
+export const createAttachment = async (
+  data: Omit<Attachment, 'id' | 'createdAt'>,
+  contents: Uint8Array
+): Promise<Attachment> => {
+  const db = usePrisma();
+  const storage = useAttachmentStorage();
+
+  await storage.put(data.storageKey, contents);
+  try {
+    return await db.attachment.create({ data });
+  } catch (error) {
+    await storage.delete(data.storageKey);
+    throw error;
+  }
+};
+
+export const deleteAttachment = async (
+  attachment: Attachment
+): Promise<void> => {
+  const db = usePrisma();
+  await db.attachment.delete({ where: { id: attachment.id } });
+  try {
+    await useAttachmentStorage().delete(attachment.storageKey);
+  } catch (error) {
+    // The blob is picked up again by the next prune
+    console.error(error);
+  }
+};
+
+/**
+ * Deletes stored blobs that no attachment refers to anymore, e.g. after a
+ * note delete cascaded to its attachments.
+ */
+export const pruneAttachmentBlobs = async (): Promise<void> => {
+  const db = usePrisma();
+  const storage = useAttachmentStorage();
+  try {
+    const [objects, attachments] = await Promise.all([
+      storage.list(),
+      db.attachment.findMany({ select: { storageKey: true } }),
+    ]);
+    const keys = new Set(attachments.map((a) => a.storageKey));
+    const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+    for (const object of objects) {
+      if (!keys.has(object.key) && object.modifiedAt.getTime() < cutoff) {
+        await storage.delete(object.key);
+      }
+    }
+  } catch (error) {
+    console.error(error);
+  }
+};
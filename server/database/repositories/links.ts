@@ -0,0 +1,106 @@
+import { usePrisma } from '~~/server/composables/prisma';
+import {
+  parseWikiLinks,
+  resolveWikiLink,
+  toTargetName,
+} from '~~/server/utils/wikiLinks';
+
+/**
+ * Replaces the stored outgoing links of a file with the [[links]] found in
+ * its content.
+ */
+export const updateFileLinks = async (file: {
+  id: number;
+  userId: number;
+  content: string;
+}): Promise<void> => {
+  const db = usePrisma();
+  try {
+    const targets = parseWikiLinks(file.content);
+    await db.$transaction([
+      db.fileLink.deleteMany({
+        where: { sourceId: file.id },
+      }),
+      db.fileLink.createMany({
+        data: targets.map((target) => ({
+          sourceId: file.id,
+          userId: file.userId,
+          target,
+          targetName: toTargetName(target),
+        })),
+      }),
+    ]);
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const getLinkableItems = async (userId: number) => {
+  const db = usePrisma();
+  const [files, folders] = await Promise.all([
+    db.file.findMany({
+      where: { userId, deletedAt: null },
+      select: { id: true, name: true, folderId: true },
+    }),
+    db.folder.findMany({
+      where: { userId, deletedAt: null },
+      select: { id: true, parentId: true, name: true },
+    }),
+  ]);
+  return { files, folders };
+};
+
+/**
+ * Returns the files whose stored links resolve to `file`, together with the
+ * exact link targets that do.
+ */
+export const findBacklinks = async (
+  userId: number,
+  file: { id: number; name: string }
+) => {
+  const db = usePrisma();
+  const [links, { files, folders }] = await Promise.all([
+    db.fileLink.findMany({
+      where: {
+        userId,
+        targetName: file.name.toLowerCase(),
+        sourceId: { not: file.id },
+        source: { deletedAt: null },
+      },
+      select: {
+        target: true,
+        source: {
+          select: { id: true, name: true, folderId: true, content: true },
+        },
+      },
+    }),
+    getLinkableItems(userId),
+  ]);
+
+  const backlinks = new Map<
+    number,
+    {
+      source: (typeof links)[number]['source'];
+      targets: string[];
+    }
+  >();
+
+  for (const link of links) {
+    const resolved = resolveWikiLink(
+      link.target,
+      link.source.folderId,
+      files,
+      folders
+    );
+    if (resolved?.id !== file.id) continue;
+
+    const entry = backlinks.get(link.source.id) ?? {
+      source: link.source,
+      targets: [],
+    };
+    entry.targets.push(link.target);
+    backlinks.set(link.source.id, entry);
+  }
+
+  return [...backlinks.values()];
+};
@@ -0,0 +1,77 @@
+import { usePrisma } from '~~/server/composables/prisma';
+
+const pruneFileRevisions = async (
+  fileId: number,
+  limit: number
+): Promise<void> => {
+  const db = usePrisma();
+  const stale = await db.fileRevision.findMany({
+    where: { fileId },
+    orderBy: { id: 'desc' },
+    skip: limit,
+    select: { id: true },
+  });
+
+  if (stale.length > 0) {
+    await db.fileRevision.deleteMany({
+      where: { id: { in: stale.map((revision) => revision.id) } },
+    });
+  }
+};
+
+/**
+ * Records `content` as the newest revision of a file and prunes the oldest
+ * revisions beyond the configured per-file limit. When the file has no
+ * history yet, `previousContent` is stored first so the pre-save state can
+ * still be restored.
+ *
+ * Saves within the revision window of the newest revision replace its
+ * content instead of adding one, so autosaves while typing do not push
+ * older history out. Pass `compact: false` for saves that must stay a
+ * separate step, such as restoring a revision.
+ */
+export const addFileRevision = async (
+  fileId: number,
+  content: string,
+  previousContent = '',
+  compact = true
+): Promise<void> => {
+  const db = usePrisma();
+  const config = useRuntimeConfig();
+  try {
+    const latest = await db.fileRevision.findFirst({
+      where: { fileId },
+      orderBy: { id: 'desc' },
+      select: { id: true, content: true, createdAt: true },
+    });
+
+    if (!latest && previousContent && previousContent !== content) {
+      await db.fileRevision.create({
+        data: { fileId, content: previousContent },
+      });
+    }
+
+    if (latest?.content === content) {
+      return;
+    }
+
+    // The revision keeps its creation time, so continuous editing still
+    // leaves one revision per window
+    const windowStart = Date.now() - config.revisionWindowSeconds * 1000;
+    if (compact && latest && latest.createdAt.getTime() > windowStart) {
+      await db.fileRevision.update({
+        where: { id: latest.id },
+        data: { content },
+      });
+      return;
+    }
+
+    await db.fileRevision.create({
+      data: { fileId, content },
+    });
+
+    await pruneFileRevisions(fileId, config.revisionLimit);
+  } catch (error) {
+    console.error(error);
+  }
+};
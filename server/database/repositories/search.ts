@@ -0,0 +1,169 @@
+import { usePrisma } from '~~/server/composables/prisma';
+
+// Markers passed to FTS5 snippet()/highlight(). Control characters never
+// appear in note text, so they can be split on safely afterwards
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+export interface SearchSegment {
+  text: string;
+  highlighted: boolean;
+}
+
+export interface SearchHit {
+  id: number;
+  folderId: number | null;
+  name: string;
+  nameSegments: SearchSegment[];
+  snippetSegments: SearchSegment[];
+}
+
+interface SearchRow {
+  id: number | bigint;
+  folder_id: number | bigint | null;
+  name: string;
+  name_highlight: string;
+  snippet: string;
+}
+
+let indexReady: Promise<void> | null = null;
+
+/**
+ * Creates the FTS5 index if needed and backfills files that are missing from
+ * it. The virtual table lives outside the Prisma schema, so it is recreated
+ * here whenever `prisma db push` drops it. Rows use the file id as rowid.
+ */
+const ensureSearchIndex = (): Promise<void> => {
+  if (!indexReady) {
+    const db = usePrisma();
+    indexReady = (async () => {
+      await db.$executeRawUnsafe(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS files_fts USING fts5(
+          name,
+          content,
+          user_id UNINDEXED,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )`
+      );
+      await db.$executeRawUnsafe(
+        `INSERT INTO files_fts (rowid, name, content, user_id)
+         SELECT id, name, content, user_id FROM files
+         WHERE id NOT IN (SELECT rowid FROM files_fts)`
+      );
+    })().catch((error: unknown) => {
+      indexReady = null;
+      throw error;
+    });
+  }
+  return indexReady;
+};
+
+const toSegments = (text: string): SearchSegment[] => {
+  const segments: SearchSegment[] = [];
+  for (const part of text.split(MATCH_START)) {
+    const [highlighted, rest] = part.includes(MATCH_END)
+      ? part.split(MATCH_END, 2)
+      : [null, part];
+    if (highlighted) {
+      segments.push({ text: highlighted, highlighted: true });
+    }
+    if (rest) {
+      segments.push({ text: rest, highlighted: false });
+    }
+  }
+  return segments;
+};
+
+/**
+ * Turns free-form user input into an FTS5 query. Every term is quoted so
+ * operators and punctuation are matched literally, and the last term is a
+ * prefix match to support search-as-you-type.
+ */
+const toMatchQuery = (query: string): string | null => {
+  const terms = query
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, '""'))
+    .filter((term) => term.length > 0);
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((term, i) => (i === terms.length - 1 ? `"${term}"*` : `"${term}"`))
+    .join(' ');
+};
+
+export const indexFile = async (file: {
+  id: number;
+  userId: number;
+  name: string;
+  content: string;
+}): Promise<void> => {
+  const db = usePrisma();
+  try {
+    await ensureSearchIndex();
+    await db.$executeRaw`DELETE FROM files_fts WHERE rowid = ${file.id}`;
+    await db.$executeRaw`INSERT INTO files_fts (rowid, name, content, user_id)
+      VALUES (${file.id}, ${file.name}, ${file.content}, ${file.userId})`;
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const removeFileFromIndex = async (id: number): Promise<void> => {
+  const db = usePrisma();
+  try {
+    await ensureSearchIndex();
+    await db.$executeRaw`DELETE FROM files_fts WHERE rowid = ${id}`;
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+/**
+ * Drops index rows whose file no longer exists, e.g. after a folder delete
+ * cascaded to its files.
+ */
+export const pruneSearchIndex = async (): Promise<void> => {
+  const db = usePrisma();
+  try {
+    await ensureSearchIndex();
+    await db.$executeRaw`DELETE FROM files_fts
+      WHERE rowid NOT IN (SELECT id FROM files)`;
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const searchFiles = async (
+  userId: number,
+  query: string,
+  limit: number
+): Promise<SearchHit[]> => {
+  const match = toMatchQuery(query);
+  if (!match) return [];
+
+  const db = usePrisma();
+  await ensureSearchIndex();
+
+  // bm25 weights: a hit in the file name ranks well above one in the body
+  const rows = await db.$queryRaw<SearchRow[]>`
+    SELECT
+      f.id AS id,
+      f.folder_id AS folder_id,
+      f.name AS name,
+      highlight(files_fts, 0, ${MATCH_START}, ${MATCH_END}) AS name_highlight,
+      snippet(files_fts, 1, ${MATCH_START}, ${MATCH_END}, '…', 16) AS snippet
+    FROM files_fts
+    JOIN files f ON f.id = files_fts.rowid
+    WHERE files_fts MATCH ${match} AND f.user_id = ${userId}
+      AND f.deleted_at IS NULL
+    ORDER BY bm25(files_fts, 10.0, 1.0)
+    LIMIT ${limit}`;
+
+  return rows.map((row) => ({
+    id: Number(row.id),
+    folderId: row.folder_id === null ? null : Number(row.folder_id),
+    name: row.name,
+    nameSegments: toSegments(row.name_highlight),
+    snippetSegments: toSegments(row.snippet),
+  }));
+};
@@ -0,0 +1,174 @@
+import { createHash, randomBytes } from 'node:crypto';
+import type { Session, User } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+
+// Last-seen times are only written once they are this stale, so regular
+// API traffic does not turn every read into a write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const hashRefreshToken = (token: string): string =>
+  createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = (): string =>
+  randomBytes(32).toString('base64url');
+
+const getRefreshExpiry = (): Date =>
+  new Date(Date.now() + useRuntimeConfig().refreshTokenTtl * 1000);
+
+/**
+ * Starts a new session. Only a hash of the refresh token is stored, the
+ * token itself is handed to the client once.
+ */
+export const createSession = async (
+  userId: number,
+  userAgent: string,
+  ipAddress: string
+): Promise<{ session: Session; refreshToken: string } | undefined> => {
+  const db = usePrisma();
+  try {
+    const refreshToken = generateRefreshToken();
+    const [, session] = await db.$transaction([
+      db.session.deleteMany({
+        where: { userId, expiresAt: { lte: new Date() } },
+      }),
+      db.session.create({
+        data: {
+          userId,
+          refreshTokenHash: hashRefreshToken(refreshToken),
+          userAgent,
+          ipAddress,
+          expiresAt: getRefreshExpiry(),
+        },
+      }),
+    ]);
+    return { session, refreshToken };
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const getActiveSession = async (
+  id: number
+): Promise<(Session & { user: User }) | null | undefined> => {
+  const db = usePrisma();
+  try {
+    return await db.session.findFirst({
+      where: { id, expiresAt: { gt: new Date() } },
+      include: { user: true },
+    });
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const touchSession = async (session: Session): Promise<void> => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  const db = usePrisma();
+  try {
+    await db.session.update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() },
+    });
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+/**
+ * Exchanges a refresh token for a new one. Each refresh token works once,
+ * and using it extends the session.
+ */
+export const rotateRefreshToken = async (
+  refreshToken: string
+): Promise<{
+  session: Session & { user: User };
+  refreshToken: string;
+} | null> => {
+  const db = usePrisma();
+  try {
+    const nextToken = generateRefreshToken();
+    const { count } = await db.session.updateMany({
+      where: {
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        expiresAt: { gt: new Date() },
+      },
+      data: {
+        refreshTokenHash: hashRefreshToken(nextToken),
+        lastSeenAt: new Date(),
+        expiresAt: getRefreshExpiry(),
+      },
+    });
+    if (count === 0) return null;
+
+    const session = await db.session.findUnique({
+      where: { refreshTokenHash: hashRefreshToken(nextToken) },
+      include: { user: true },
+    });
+    return session ? { session, refreshToken: nextToken } : null;
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+};
+
+export const getUserSessions = async (userId: number): Promise<Session[]> => {
+  const db = usePrisma();
+  try {
+    return await db.session.findMany({
+      where: { userId, expiresAt: { gt: new Date() } },
+      orderBy: { lastSeenAt: 'desc' },
+    });
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
+};
+
+export const deleteSession = async (
+  id: number,
+  userId: number
+): Promise<boolean> => {
+  const db = usePrisma();
+  try {
+    const result = await db.session.deleteMany({
+      where: { id, userId },
+    });
+    return result.count > 0;
+  } catch (error) {
+    console.error(error);
+    return false;
+  }
+};
+
+export const deleteSessionByRefreshToken = async (
+  refreshToken: string
+): Promise<boolean> => {
+  const db = usePrisma();
+  try {
+    const result = await db.session.deleteMany({
+      where: { refreshTokenHash: hashRefreshToken(refreshToken) },
+    });
+    return result.count > 0;
+  } catch (error) {
+    console.error(error);
+    return false;
+  }
+};
+
+export const deleteOtherSessions = async (
+  userId: number,
+  keepId: number
+): Promise<number> => {
+  const db = usePrisma();
+  try {
+    const result = await db.session.deleteMany({
+      where: { userId, id: { not: keepId } },
+    });
+    return result.count;
+  } catch (error) {
+    console.error(error);
+    return 0;
+  }
+};
@@ -45,3 +45,33 @@ export const addUser = async (
     console.error(error);
   }
 };
+
+export const getUserById = async (
+  id: number
+): Promise<User | null | undefined> => {
+  const db = usePrisma();
+  try {
+    return await db.user.findUnique({
+      where: { id },
+    });
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const updateUserPassword = async (
+  id: number,
+  passwordHash: string
+): Promise<boolean> => {
+  const db = usePrisma();
+  try {
+    await db.user.update({
+      where: { id },
+      data: { passwordHash },
+    });
+    return true;
+  } catch (error) {
+    console.error(error);
+    return false;
+  }
+};
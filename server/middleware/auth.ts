@@ -1,14 +1,24 @@
 import { verifyToken } from '../utils/jwt';
-import { isJwtTokenExistByToken } from '~~/server/database/repositories/jwt';
-import { getUserByEmail } from '~~/server/database/repositories/users';
+import {
+  getActiveSession,
+  touchSession,
+} from '~~/server/database/repositories/sessions';
 import '~~/server/types';
 
 const PUBLIC_ROUTES = [
   { method: 'POST', path: '/api/auth/register' },
   { method: 'POST', path: '/api/auth/login' },
+  { method: 'POST', path: '/api/auth/refresh' },
   { method: 'DELETE', path: '/api/auth/logout' },
+  { method: 'GET', path: '/api/public/*' },
 ];
 
+// A trailing "*" makes a route match everything below its prefix
+const matchesRoute = (routePath: string, path: string): boolean =>
+  routePath.endsWith('*')
+    ? path.startsWith(routePath.slice(0, -1))
+    : path === routePath;
+
 export default defineEventHandler(async (event) => {
   const path = getRequestURL(event).pathname;
   const method = getMethod(event);
@@ -18,7 +28,7 @@ export default defineEventHandler(async (event) => {
   }
 
   const isPublic = PUBLIC_ROUTES.some(
-    (route) => route.method === method && path === route.path
+    (route) => route.method === method && matchesRoute(route.path, path)
   );
   if (isPublic) {
     return;
@@ -38,18 +48,16 @@ export default defineEventHandler(async (event) => {
     throw createError({ statusCode: 401, message: 'Invalid token' });
   }
 
-  const tokenExists = await isJwtTokenExistByToken(token, payload.email);
-  if (!tokenExists) {
-    throw createError({ statusCode: 401, message: 'Token has been revoked' });
+  const session = await getActiveSession(payload.sessionId);
+  if (!session || session.user.email !== payload.email) {
+    throw createError({ statusCode: 401, message: 'Session has been revoked' });
   }
 
-  const user = await getUserByEmail(payload.email);
-  if (!user) {
-    throw createError({ statusCode: 401, message: 'User not found' });
-  }
+  await touchSession(session);
 
   event.context.user = {
-    userId: user.id,
-    email: user.email,
+    userId: session.user.id,
+    email: session.user.email,
+    sessionId: session.id,
   };
 });
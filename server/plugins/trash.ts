@@ -0,0 +1,19 @@
+import { pruneAttachmentBlobs } from '~~/server/database/repositories/attachments';
+import { purgeExpiredTrash } from '../utils/trash';
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Empties items out of the trash once their retention period has passed,
+// and removes attachment contents a delete could not clean up right away
+export default defineNitroPlugin(() => {
+  const purge = () => {
+    purgeExpiredTrash()
+      .then(() => pruneAttachmentBlobs())
+      .catch((error: unknown) => {
+        console.error('Failed to purge trash:', error);
+      });
+  };
+
+  setTimeout(purge, 0);
+  setInterval(purge, PURGE_INTERVAL_MS);
+});
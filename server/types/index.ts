@@ -3,6 +3,7 @@ import type { PrismaClient } from '@prisma/client';
 export interface AuthUser {
   userId: number;
   email: string;
+  sessionId: number;
 }
 
 export interface LoginRequestBody {
@@ -15,6 +16,19 @@ export interface RegisterRequestBody {
   password: string;
 }
 
+export interface RefreshRequestBody {
+  refresh_token: string;
+}
+
+export interface LogoutRequestBody {
+  refresh_token?: string;
+}
+
+export interface ChangePasswordRequestBody {
+  current_password: string;
+  new_password: string;
+}
+
 export interface CreateFileRequestBody {
   name: string;
   folder_id?: number | string | null;
@@ -23,6 +37,8 @@ export interface CreateFileRequestBody {
 export interface UpdateFileRequestBody {
   name?: string;
   content?: string;
+  version?: number | string;
+  rewrite_links?: boolean;
 }
 
 export interface CreateFolderRequestBody {
@@ -34,6 +50,43 @@ export interface UpdateFolderRequestBody {
   name: string;
 }
 
+export interface FileTargetRequestBody {
+  folder_id?: number | string | null;
+  conflict?: 'rename' | 'overwrite';
+}
+
+export interface RestoreRequestBody {
+  conflict?: 'rename' | 'overwrite';
+}
+
+export interface FolderTargetRequestBody {
+  parent_id?: number | string | null;
+  conflict?: 'rename' | 'overwrite';
+}
+
+export interface ResolveLinksRequestBody {
+  targets: string[];
+  // Note the links are written in; they resolve within its owner's vault
+  file_id?: number | string | null;
+  folder_id?: number | string | null;
+}
+
+export interface CreateShareRequestBody {
+  file_id?: number | string | null;
+  folder_id?: number | string | null;
+  email: string;
+  role: 'viewer' | 'editor';
+}
+
+export interface UpdateShareRequestBody {
+  role: 'viewer' | 'editor';
+}
+
+export interface CreatePublicLinkRequestBody {
+  file_id: number | string;
+  expires_at?: string | null;
+}
+
 declare module 'h3' {
   interface H3EventContext {
     user?: AuthUser;
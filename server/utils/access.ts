@@ -0,0 +1,240 @@
+import type { File, Folder } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+
+export type ShareRole = 'viewer' | 'editor';
+
+export type AccessRole = 'owner' | ShareRole;
+
+export type AccessLevel = 'read' | 'write';
+
+export const parseShareRole = (value: unknown): ShareRole => {
+  if (value === 'viewer' || value === 'editor') return value;
+  throw createError({
+    statusCode: 400,
+    message: 'Role must be either "viewer" or "editor"',
+  });
+};
+
+/**
+ * Returns `folderId` followed by the ids of all its ancestors.
+ */
+const getFolderChain = async (folderId: number | null): Promise<number[]> => {
+  const db = usePrisma();
+  const chain: number[] = [];
+  let currentId = folderId;
+
+  while (currentId !== null && !chain.includes(currentId)) {
+    chain.push(currentId);
+    const folder = await db.folder.findUnique({
+      where: { id: currentId },
+      select: { parentId: true },
+    });
+    currentId = folder?.parentId ?? null;
+  }
+
+  return chain;
+};
+
+/**
+ * A share on a folder covers its whole subtree. When several shares apply,
+ * the most permissive one wins.
+ */
+const getSharedRole = async (
+  userId: number,
+  fileId: number | null,
+  folderId: number | null
+): Promise<ShareRole | null> => {
+  const db = usePrisma();
+  const folderIds = await getFolderChain(folderId);
+
+  const shares = await db.share.findMany({
+    where: {
+      userId,
+      OR: [
+        ...(fileId !== null ? [{ fileId }] : []),
+        { folderId: { in: folderIds } },
+      ],
+    },
+    select: { role: true },
+  });
+
+  if (shares.length === 0) return null;
+  return shares.some((share) => share.role === 'editor') ? 'editor' : 'viewer';
+};
+
+const assertAccessLevel = (
+  role: AccessRole,
+  level: AccessLevel,
+  kind: 'file' | 'folder'
+) => {
+  if (level === 'write' && role === 'viewer') {
+    throw createError({
+      statusCode: 403,
+      message: `You only have view access to this ${kind}`,
+    });
+  }
+};
+
+export const getFileAccess = async (
+  userId: number,
+  fileId: number
+): Promise<{ file: File; role: AccessRole } | null> => {
+  const db = usePrisma();
+  const file = await db.file.findFirst({
+    where: { id: fileId, deletedAt: null },
+  });
+  if (!file) return null;
+  if (file.userId === userId) return { file, role: 'owner' };
+
+  const role = await getSharedRole(userId, file.id, file.folderId);
+  return role ? { file, role } : null;
+};
+
+export const getFolderAccess = async (
+  userId: number,
+  folderId: number
+): Promise<{ folder: Folder; role: AccessRole } | null> => {
+  const db = usePrisma();
+  const folder = await db.folder.findFirst({
+    where: { id: folderId, deletedAt: null },
+  });
+  if (!folder) return null;
+  if (folder.userId === userId) return { folder, role: 'owner' };
+
+  const role = await getSharedRole(userId, null, folder.id);
+  return role ? { folder, role } : null;
+};
+
+/**
+ * Loads a file the user owns or has been given access to. Files the user
+ * cannot see at all, and files in the trash, are reported as missing rather
+ * than forbidden.
+ */
+export const requireFileAccess = async (
+  userId: number,
+  fileId: number,
+  level: AccessLevel = 'read'
+): Promise<{ file: File; role: AccessRole }> => {
+  const access = await getFileAccess(userId, fileId);
+  if (!access) {
+    throw createError({ statusCode: 404, message: 'File not found' });
+  }
+  assertAccessLevel(access.role, level, 'file');
+  return access;
+};
+
+export const requireFolderAccess = async (
+  userId: number,
+  folderId: number,
+  level: AccessLevel = 'read'
+): Promise<{ folder: Folder; role: AccessRole }> => {
+  const access = await getFolderAccess(userId, folderId);
+  if (!access) {
+    throw createError({ statusCode: 404, message: 'Folder not found' });
+  }
+  assertAccessLevel(access.role, level, 'folder');
+  return access;
+};
+
+/**
+ * Returns whose items a folder listing shows. Inside a folder shared with
+ * the user that is the folder's owner, at the root it is the user.
+ */
+export const getListingOwnerId = async (
+  userId: number,
+  folderId: number | null
+): Promise<number> => {
+  if (folderId === null) return userId;
+  const { folder } = await requireFolderAccess(userId, folderId);
+  return folder.userId;
+};
+
+/**
+ * Reads the item a share applies to. Exactly one of the two ids has to be
+ * given.
+ */
+export const parseShareTarget = (
+  fileId: unknown,
+  folderId: unknown
+): { fileId: number; folderId: null } | { fileId: null; folderId: number } => {
+  const hasFile = fileId !== undefined && fileId !== null && fileId !== '';
+  const hasFolder =
+    folderId !== undefined && folderId !== null && folderId !== '';
+
+  if (hasFile === hasFolder) {
+    throw createError({
+      statusCode: 400,
+      message: 'Either a file ID or a folder ID is required',
+    });
+  }
+
+  const id = Number(hasFile ? fileId : folderId);
+  if (isNaN(id)) {
+    throw createError({
+      statusCode: 400,
+      message: hasFile ? 'Invalid file ID' : 'Invalid folder ID',
+    });
+  }
+
+  return hasFile
+    ? { fileId: id, folderId: null }
+    : { fileId: null, folderId: id };
+};
+
+/**
+ * Makes sure the user owns the item being shared. Collaborators cannot
+ * re-share what they were given.
+ */
+export const requireOwnedShareTarget = async (
+  userId: number,
+  target: { fileId: number | null; folderId: number | null }
+): Promise<{ name: string }> => {
+  const db = usePrisma();
+  const item =
+    target.fileId !== null
+      ? await db.file.findFirst({
+          where: { id: target.fileId, userId, deletedAt: null },
+          select: { name: true },
+        })
+      : await db.folder.findFirst({
+          where: { id: target.folderId!, userId, deletedAt: null },
+          select: { name: true },
+        });
+
+  if (!item) {
+    throw createError({
+      statusCode: 404,
+      message: target.fileId !== null ? 'File not found' : 'Folder not found',
+    });
+  }
+  return item;
+};
+
+/**
+ * Looks up a public link by its token. Revoked, expired and unknown links,
+ * and links to trashed notes, are indistinguishable to visitors.
+ */
+export const requirePublicLink = async (token: string | undefined) => {
+  if (!token) {
+    throw createError({ statusCode: 400, message: 'Invalid link' });
+  }
+
+  const db = usePrisma();
+  const link = await db.publicLink.findUnique({
+    where: { token },
+    include: {
+      file: {
+        select: { name: true, content: true, updatedAt: true, deletedAt: true },
+      },
+    },
+  });
+
+  if (
+    !link ||
+    link.file.deletedAt ||
+    (link.expiresAt && link.expiresAt.getTime() <= Date.now())
+  ) {
+    throw createError({ statusCode: 404, message: 'Link not found' });
+  }
+  return link;
+};
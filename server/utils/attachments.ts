@@ -0,0 +1,313 @@
+import { randomUUID } from 'node:crypto';
+import type { Attachment, File, Prisma } from '@prisma/client';
+import type { H3Event } from 'h3';
+import { usePrisma } from '~~/server/composables/prisma';
+import { useAttachmentStorage, type ByteRange } from './storage';
+
+type Db = Prisma.TransactionClient;
+
+// Content types accepted for upload. SVG is left out on purpose, it can
+// carry scripts that would run on the app's origin
+const ALLOWED_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'audio/mpeg',
+  'audio/wav',
+  'video/mp4',
+  'video/webm',
+]);
+
+// Types browsers can show in place; everything else is downloaded
+const INLINE_TYPES = /^(image|audio|video)\/|^application\/pdf$/;
+
+// Leading bytes of formats that are easy to disguise by renaming a file
+const SIGNATURES: Record<string, (data: Uint8Array) => boolean> = {
+  'image/png': (d) =>
+    d[0] === 0x89 && d[1] === 0x50 && d[2] === 0x4e && d[3] === 0x47,
+  'image/jpeg': (d) => d[0] === 0xff && d[1] === 0xd8 && d[2] === 0xff,
+  'image/gif': (d) => String.fromCharCode(...d.subarray(0, 4)) === 'GIF8',
+  'image/webp': (d) =>
+    String.fromCharCode(...d.subarray(0, 4)) === 'RIFF' &&
+    String.fromCharCode(...d.subarray(8, 12)) === 'WEBP',
+  'application/pdf': (d) =>
+    String.fromCharCode(...d.subarray(0, 5)) === '%PDF-',
+  'application/zip': (d) => d[0] === 0x50 && d[1] === 0x4b,
+};
+
+export const isInlineType = (mimeType: string): boolean =>
+  INLINE_TYPES.test(mimeType);
+
+/**
+ * Checks an uploaded part against the allowed types and the configured
+ * size limit. Returns the cleaned-up file name and content type.
+ */
+export const validateUpload = (part: {
+  filename?: string;
+  type?: string;
+  data: Uint8Array;
+}): { name: string; mimeType: string } => {
+  const { attachmentMaxSize } = useRuntimeConfig();
+
+  if (part.data.length === 0) {
+    throw createError({ statusCode: 400, message: 'The file is empty' });
+  }
+  if (part.data.length > attachmentMaxSize) {
+    throw createError({
+      statusCode: 413,
+      message: `Attachments can be at most ${formatBytes(attachmentMaxSize)}`,
+    });
+  }
+
+  const mimeType = (part.type ?? '').split(';')[0]!.trim().toLowerCase();
+  if (!ALLOWED_TYPES.has(mimeType)) {
+    throw createError({
+      statusCode: 415,
+      message: `Files of type "${mimeType || 'unknown'}" cannot be attached`,
+    });
+  }
+
+  const matchesSignature = SIGNATURES[mimeType];
+  if (matchesSignature && !matchesSignature(part.data)) {
+    throw createError({
+      statusCode: 415,
+      message: `The file content does not match its type "${mimeType}"`,
+    });
+  }
+
+  // Path separators and control characters never make it into a name
+  // eslint-disable-next-line no-control-regex
+  const name = (part.filename ?? '').replace(/[\\/\u0000-\u001f]/g, '').trim();
+
+  return { name: name || 'attachment', mimeType };
+};
+
+export const createStorageKey = (userId: number): string =>
+  `${userId}/${randomUUID()}`;
+
+export const formatBytes = (bytes: number): string => {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number(value.toFixed(1))} ${units[unit]}`;
+};
+
+/**
+ * Throws 413 when `bytes` more would take the user over their attachment
+ * quota.
+ */
+export const assertAttachmentQuota = async (
+  db: Db,
+  userId: number,
+  bytes: number
+): Promise<void> => {
+  const { attachmentQuota } = useRuntimeConfig();
+  const { _sum } = await db.attachment.aggregate({
+    where: { userId },
+    _sum: { size: true },
+  });
+  const used = _sum.size ?? 0;
+
+  if (used + bytes > attachmentQuota) {
+    throw createError({
+      statusCode: 413,
+      message: `Attachment storage is full (${formatBytes(attachmentQuota)})`,
+      data: {
+        code: 'QUOTA_EXCEEDED',
+        used,
+        quota: attachmentQuota,
+      },
+    });
+  }
+};
+
+// Attachment URLs as handed out by toAttachmentResponse
+const ATTACHMENT_URL_PATTERN = /\/api\/attachments\/(\d+)(?!\d)/g;
+
+export interface AttachmentCopy {
+  source: Attachment;
+  // Key the source contents were copied to
+  storageKey: string;
+}
+
+/**
+ * First half of copying notes with their attachments: copies the stored
+ * contents of every attachment on the matched notes to new keys. Runs before
+ * the database transaction, so large copies never hold the write lock; keys
+ * of a copy that is never recorded are removed by pruneAttachmentBlobs.
+ * Returns the copies grouped by source note id.
+ */
+export const copyAttachmentBlobs = async (
+  userId: number,
+  files: Prisma.FileWhereInput
+): Promise<Map<number, AttachmentCopy[]>> => {
+  const db = usePrisma();
+  const attachments = await db.attachment.findMany({
+    where: { file: { ...files, deletedAt: null } },
+  });
+
+  await assertAttachmentQuota(
+    db,
+    userId,
+    attachments.reduce((sum, a) => sum + a.size, 0)
+  );
+
+  const storage = useAttachmentStorage();
+  const copies = new Map<number, AttachmentCopy[]>();
+  for (const attachment of attachments) {
+    const storageKey = createStorageKey(userId);
+    await storage.copy(attachment.storageKey, storageKey);
+    const fileCopies = copies.get(attachment.fileId) ?? [];
+    fileCopies.push({ source: attachment, storageKey });
+    copies.set(attachment.fileId, fileCopies);
+  }
+  return copies;
+};
+
+/**
+ * Second half, inside the transaction: records the copied attachments for
+ * the new note and points the references in its content at them, so the
+ * copy keeps working when the original is trashed.
+ */
+export const createAttachmentCopies = async (
+  db: Db,
+  copies: AttachmentCopy[],
+  target: File
+): Promise<File> => {
+  if (copies.length === 0) return target;
+
+  const ids = new Map<string, number>();
+  for (const { source, storageKey } of copies) {
+    const copy = await db.attachment.create({
+      data: {
+        userId: target.userId,
+        fileId: target.id,
+        name: source.name,
+        mimeType: source.mimeType,
+        size: source.size,
+        storageKey,
+      },
+    });
+    ids.set(String(source.id), copy.id);
+  }
+
+  const content = target.content.replace(
+    ATTACHMENT_URL_PATTERN,
+    (url, id: string) => {
+      const copyId = ids.get(id);
+      return copyId !== undefined ? `/api/attachments/${copyId}` : url;
+    }
+  );
+  if (content === target.content) return target;
+
+  return db.file.update({
+    where: { id: target.id },
+    data: { content },
+  });
+};
+
+/**
+ * Reads a single `bytes=` range. Returns `null` when the whole file should
+ * be sent and throws 416 for ranges outside the file.
+ */
+export const parseRangeHeader = (
+  header: string | undefined,
+  size: number
+): ByteRange | null => {
+  const match = header && /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const [, first, last] = match;
+  if (first === '' && last === '') return null;
+
+  let start: number;
+  let end: number;
+  if (first === '') {
+    // "bytes=-500" asks for the last 500 bytes
+    start = Math.max(size - Number(last), 0);
+    end = size - 1;
+  } else {
+    start = Number(first);
+    end = last === '' ? size - 1 : Math.min(Number(last), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    throw createError({
+      statusCode: 416,
+      message: 'Requested range not satisfiable',
+    });
+  }
+  return { start, end };
+};
+
+export const toAttachmentResponse = (attachment: Attachment) => ({
+  id: attachment.id,
+  file_id: attachment.fileId,
+  name: attachment.name,
+  mime_type: attachment.mimeType,
+  size: attachment.size,
+  url: `/api/attachments/${attachment.id}`,
+  created_at: attachment.createdAt,
+});
+
+/**
+ * Streams an attachment, or the byte range the request asks for. Access has
+ * to be checked by the caller.
+ */
+export const sendAttachment = async (
+  event: H3Event,
+  attachment: Attachment
+) => {
+  const { size } = attachment;
+  let range: ByteRange | null;
+  try {
+    range = parseRangeHeader(getRequestHeader(event, 'range'), size);
+  } catch (error) {
+    setResponseHeader(event, 'Content-Range', `bytes */${size}`);
+    throw error;
+  }
+
+  const disposition = isInlineType(attachment.mimeType)
+    ? 'inline'
+    : 'attachment';
+  setResponseHeaders(event, {
+    'Content-Type': attachment.mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff',
+  });
+
+  if (range) {
+    setResponseStatus(event, 206);
+    setResponseHeaders(event, {
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': String(range.end - range.start + 1),
+    });
+  } else {
+    setResponseHeader(event, 'Content-Length', size);
+  }
+
+  try {
+    const stream = await useAttachmentStorage().read(
+      attachment.storageKey,
+      range ?? undefined
+    );
+    return sendStream(event, stream);
+  } catch (error) {
+    console.error(error);
+    throw createError({
+      statusCode: 404,
+      message: 'Attachment contents are missing',
+    });
+  }
+};
@@ -0,0 +1,158 @@
+export type DiffLineType = 'unchanged' | 'added' | 'removed';
+
+export interface DiffLine {
+  type: DiffLineType;
+  content: string;
+  old_line: number | null;
+  new_line: number | null;
+}
+
+// Beyond this many edits the Myers trace gets too large to keep in memory,
+// so the changed region is reported as a plain remove/add block instead
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text: string): string[] {
+  return text === '' ? [] : text.split(/\r?\n/);
+}
+
+/**
+ * Myers shortest edit script between two line arrays, returned as a list of
+ * operations in document order.
+ */
+function shortestEditScript(a: string[], b: string[]): DiffLineType[] | null {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace: Int32Array[] = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Only diagonals -d-1..d+1 are read when backtracking through step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1]! < v[offset + k + 1]!)
+          ? v[offset + k + 1]!
+          : v[offset + k - 1]! + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace: Int32Array[], n: number, m: number): DiffLineType[] {
+  const ops: DiffLineType[] = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]!;
+    const at = (k: number) => v[k + d + 1]!;
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push('unchanged');
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      ops.push(x === prevX ? 'added' : 'removed');
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Computes a line-level diff between two texts. Line numbers are 1-based and
+ * null on the side where the line does not exist.
+ */
+export function diffLines(oldText: string, newText: string): DiffLine[] {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const middleOps = shortestEditScript(oldMiddle, newMiddle) ?? [
+    ...oldMiddle.map((): DiffLineType => 'removed'),
+    ...newMiddle.map((): DiffLineType => 'added'),
+  ];
+
+  const ops: DiffLineType[] = [
+    ...Array<DiffLineType>(start).fill('unchanged'),
+    ...middleOps,
+    ...Array<DiffLineType>(oldLines.length - oldEnd).fill('unchanged'),
+  ];
+
+  const result: DiffLine[] = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  for (const type of ops) {
+    if (type === 'added') {
+      result.push({
+        type,
+        content: newLines[newIndex]!,
+        old_line: null,
+        new_line: ++newIndex,
+      });
+    } else if (type === 'removed') {
+      result.push({
+        type,
+        content: oldLines[oldIndex]!,
+        old_line: ++oldIndex,
+        new_line: null,
+      });
+    } else {
+      result.push({
+        type,
+        content: newLines[newIndex]!,
+        old_line: ++oldIndex,
+        new_line: ++newIndex,
+      });
+    }
+  }
+
+  return result;
+}
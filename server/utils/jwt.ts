@@ -7,22 +7,36 @@ function getSecret(): Uint8Array {
 
 export interface JwtPayload {
   email: string;
+  sessionId: number;
   iat: number;
+  exp: number;
 }
 
-export async function signToken(email: string): Promise<string> {
-  return new SignJWT({ email })
+/**
+ * Issues a short-lived access token bound to a session, so revoking the
+ * session also invalidates its access tokens.
+ */
+export async function signToken(
+  email: string,
+  sessionId: number
+): Promise<string> {
+  const config = useRuntimeConfig();
+  return new SignJWT({ email, sid: sessionId })
     .setProtectedHeader({ alg: 'HS256' })
     .setIssuedAt()
+    .setExpirationTime(`${config.accessTokenTtl}s`)
     .sign(getSecret());
 }
 
 export async function verifyToken(token: string): Promise<JwtPayload | null> {
   try {
     const { payload } = await jwtVerify(token, getSecret());
+    if (typeof payload.sid !== 'number') return null;
     return {
       email: payload.email as string,
+      sessionId: payload.sid,
       iat: payload.iat as number,
+      exp: payload.exp as number,
     };
   } catch {
     return null;
@@ -0,0 +1,41 @@
+import type { H3Event } from 'h3';
+import { createSession } from '~~/server/database/repositories/sessions';
+import { signToken } from './jwt';
+
+export interface SessionTokens {
+  token: string;
+  refresh_token: string;
+  expires_in: number;
+}
+
+/**
+ * Signs an access token for a session and pairs it with its refresh token.
+ */
+export const toSessionTokens = async (
+  email: string,
+  sessionId: number,
+  refreshToken: string
+): Promise<SessionTokens> => ({
+  token: await signToken(email, sessionId),
+  refresh_token: refreshToken,
+  expires_in: useRuntimeConfig().accessTokenTtl,
+});
+
+/**
+ * Opens a session for a user who just proved their identity, recording the
+ * device it was opened from.
+ */
+export const startSession = async (
+  event: H3Event,
+  user: { id: number; email: string }
+): Promise<SessionTokens> => {
+  const created = await createSession(
+    user.id,
+    getHeader(event, 'user-agent') ?? '',
+    getRequestIP(event, { xForwardedFor: true }) ?? ''
+  );
+  if (!created) {
+    throw createError({ statusCode: 500, message: 'Failed to start session' });
+  }
+  return toSessionTokens(user.email, created.session.id, created.refreshToken);
+};
@@ -0,0 +1,110 @@
+import { createReadStream } from 'node:fs';
+import {
+  copyFile,
+  mkdir,
+  readdir,
+  rm,
+  stat,
+  writeFile,
+} from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+import type { Readable } from 'node:stream';
+
+export interface ByteRange {
+  start: number;
+  // Inclusive, as in an HTTP Range header
+  end: number;
+}
+
+export interface StoredObject {
+  key: string;
+  modifiedAt: Date;
+}
+
+/**
+ * Where attachment contents live. Keys are generated by the server and use
+ * `/` as separator; a backend only has to map them to its own addressing.
+ */
+export interface AttachmentStorage {
+  put(key: string, data: Uint8Array): Promise<void>;
+  read(key: string, range?: ByteRange): Promise<Readable>;
+  copy(fromKey: string, toKey: string): Promise<void>;
+  delete(key: string): Promise<void>;
+  list(): Promise<StoredObject[]>;
+}
+
+const KEY_PATTERN = /^[\w-]+(\/[\w.-]+)*$/;
+
+/**
+ * Stores every object as a file below `root`, mirroring the key as a path.
+ */
+export const createLocalStorage = (root: string): AttachmentStorage => {
+  const baseDir = resolve(root);
+
+  const toPath = (key: string): string => {
+    const path = resolve(baseDir, key);
+    if (!KEY_PATTERN.test(key) || !path.startsWith(baseDir + sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path;
+  };
+
+  const walk = async (dir: string, prefix: string): Promise<StoredObject[]> => {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const objects: StoredObject[] = [];
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        objects.push(...(await walk(path, key)));
+      } else if (entry.isFile()) {
+        objects.push({ key, modifiedAt: (await stat(path)).mtime });
+      }
+    }
+    return objects;
+  };
+
+  return {
+    async put(key, data) {
+      const path = toPath(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, data);
+    },
+
+    async read(key, range) {
+      const path = toPath(key);
+      // Fails right away for a missing object instead of mid-response
+      await stat(path);
+      return createReadStream(path, range);
+    },
+
+    async copy(fromKey, toKey) {
+      const path = toPath(toKey);
+      await mkdir(dirname(path), { recursive: true });
+      await copyFile(toPath(fromKey), path);
+    },
+
+    async delete(key) {
+      await rm(toPath(key), { force: true });
+    },
+
+    list() {
+      return walk(baseDir, '');
+    },
+  };
+};
+
+let storage: AttachmentStorage | null = null;
+
+export const useAttachmentStorage = (): AttachmentStorage => {
+  storage ??= createLocalStorage(useRuntimeConfig().attachmentDir);
+  return storage;
+};
+
+/**
+ * Replaces the local disk backend, e.g. from a Nitro plugin that stores
+ * attachments in an object store instead.
+ */
+export const setAttachmentStorage = (backend: AttachmentStorage): void => {
+  storage = backend;
+};
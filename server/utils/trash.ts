@@ -0,0 +1,285 @@
+import type { File, Folder, Prisma } from '@prisma/client';
+import { usePrisma } from '~~/server/composables/prisma';
+import { pruneSearchIndex } from '~~/server/database/repositories/search';
+import { pruneAttachmentBlobs } from '~~/server/database/repositories/attachments';
+import { resolveNameConflict, type ConflictStrategy } from './tree';
+
+type Db = Prisma.TransactionClient;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getTrashRetentionMs = (): number =>
+  useRuntimeConfig().trashRetentionDays * DAY_MS;
+
+export const getPurgeDate = (deletedAt: Date): Date =>
+  new Date(deletedAt.getTime() + getTrashRetentionMs());
+
+/**
+ * Names of the folders from the vault root down to `folderId`, stored with
+ * a trashed item so its location can be rebuilt if the folder is gone.
+ */
+const getFolderPath = async (
+  db: Db,
+  folderId: number | null
+): Promise<string[]> => {
+  const path: string[] = [];
+  const visited = new Set<number>();
+  let currentId = folderId;
+
+  while (currentId !== null && !visited.has(currentId)) {
+    visited.add(currentId);
+    const folder = await db.folder.findUnique({
+      where: { id: currentId },
+      select: { name: true, parentId: true },
+    });
+    if (!folder) break;
+    path.unshift(folder.name);
+    currentId = folder.parentId;
+  }
+
+  return path;
+};
+
+export const parseOriginalPath = (value: string | null): string[] => {
+  if (!value) return [];
+  try {
+    const path: unknown = JSON.parse(value);
+    return Array.isArray(path) ? path.map(String) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Returns `rootId` followed by the ids of every folder nested below it.
+ */
+const getSubtreeFolderIds = async (
+  db: Db,
+  userId: number,
+  rootId: number
+): Promise<number[]> => {
+  const folders = await db.folder.findMany({
+    where: { userId },
+    select: { id: true, parentId: true },
+  });
+
+  const ids = [rootId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const folder of folders) {
+      if (folder.parentId === ids[i]) ids.push(folder.id);
+    }
+  }
+  return ids;
+};
+
+export const trashFile = async (db: Db, file: File): Promise<void> => {
+  await db.file.update({
+    where: { id: file.id },
+    data: {
+      deletedAt: new Date(),
+      folderId: null,
+      originalFolderId: file.folderId,
+      originalPath: JSON.stringify(await getFolderPath(db, file.folderId)),
+    },
+  });
+};
+
+/**
+ * Moves a folder and everything inside it to the trash. Only the folder
+ * itself is detached from its parent, so the subtree can be restored as a
+ * whole and trashed names never block new items with the same name.
+ */
+export const trashFolder = async (db: Db, folder: Folder): Promise<void> => {
+  const deletedAt = new Date();
+  const [, ...nestedIds] = await getSubtreeFolderIds(
+    db,
+    folder.userId,
+    folder.id
+  );
+
+  await db.folder.update({
+    where: { id: folder.id },
+    data: {
+      deletedAt,
+      parentId: null,
+      originalParentId: folder.parentId,
+      originalPath: JSON.stringify(await getFolderPath(db, folder.parentId)),
+    },
+  });
+  await db.folder.updateMany({
+    where: { id: { in: nestedIds } },
+    data: { deletedAt },
+  });
+  await db.file.updateMany({
+    where: { folderId: { in: [folder.id, ...nestedIds] }, deletedAt: null },
+    data: { deletedAt },
+  });
+};
+
+/**
+ * Finds the folder a trashed item goes back to. When the original folder
+ * was deleted or is in the trash itself, its path is recreated from the
+ * vault root, reusing folders that still exist under the same names.
+ */
+const resolveRestoreFolder = async (
+  db: Db,
+  userId: number,
+  originalId: number | null,
+  originalPath: string | null
+): Promise<{ folderId: number | null; createdFolders: number }> => {
+  if (originalId === null) {
+    return { folderId: null, createdFolders: 0 };
+  }
+
+  const original = await db.folder.findFirst({
+    where: { id: originalId, userId, deletedAt: null },
+    select: { id: true },
+  });
+  if (original) {
+    return { folderId: original.id, createdFolders: 0 };
+  }
+
+  let folderId: number | null = null;
+  let createdFolders = 0;
+  for (const name of parseOriginalPath(originalPath)) {
+    const existing: { id: number } | null = await db.folder.findFirst({
+      where: { userId, parentId: folderId, name, deletedAt: null },
+      select: { id: true },
+    });
+    if (existing) {
+      folderId = existing.id;
+      continue;
+    }
+    const created: Folder = await db.folder.create({
+      data: { userId, parentId: folderId, name },
+    });
+    folderId = created.id;
+    createdFolders++;
+  }
+
+  return { folderId, createdFolders };
+};
+
+export const restoreFile = async (
+  db: Db,
+  file: File,
+  conflict: ConflictStrategy | undefined
+) => {
+  const { folderId, createdFolders } = await resolveRestoreFolder(
+    db,
+    file.userId,
+    file.originalFolderId,
+    file.originalPath
+  );
+
+  const siblings = await db.file.findMany({
+    where: { userId: file.userId, folderId, deletedAt: null },
+  });
+  const { name, replaceId } = resolveNameConflict(
+    'file',
+    file.name,
+    siblings,
+    conflict
+  );
+
+  // An overwritten file goes to the trash in turn instead of being lost
+  const replaced = siblings.find((sibling) => sibling.id === replaceId);
+  if (replaced) {
+    await trashFile(db, replaced);
+  }
+
+  const restored = await db.file.update({
+    where: { id: file.id },
+    data: {
+      deletedAt: null,
+      folderId,
+      name,
+      originalFolderId: null,
+      originalPath: null,
+    },
+  });
+
+  return { file: restored, createdFolders };
+};
+
+export const restoreFolder = async (
+  db: Db,
+  folder: Folder,
+  conflict: ConflictStrategy | undefined
+) => {
+  const { folderId: parentId, createdFolders } = await resolveRestoreFolder(
+    db,
+    folder.userId,
+    folder.originalParentId,
+    folder.originalPath
+  );
+
+  const siblings = await db.folder.findMany({
+    where: { userId: folder.userId, parentId, deletedAt: null },
+  });
+  const { name, replaceId } = resolveNameConflict(
+    'folder',
+    folder.name,
+    siblings,
+    conflict
+  );
+
+  const replaced = siblings.find((sibling) => sibling.id === replaceId);
+  if (replaced) {
+    await trashFolder(db, replaced);
+  }
+
+  const subtreeIds = await getSubtreeFolderIds(db, folder.userId, folder.id);
+
+  const restored = await db.folder.update({
+    where: { id: folder.id },
+    data: {
+      deletedAt: null,
+      parentId,
+      name,
+      originalParentId: null,
+      originalPath: null,
+    },
+  });
+  await db.folder.updateMany({
+    where: { id: { in: subtreeIds } },
+    data: { deletedAt: null },
+  });
+  await db.file.updateMany({
+    where: { folderId: { in: subtreeIds } },
+    data: { deletedAt: null },
+  });
+
+  return { folder: restored, createdFolders };
+};
+
+/**
+ * Permanently deletes trashed items that were deleted before `before`, or
+ * all of them. Items inside a trashed folder go with it through the
+ * cascade. Returns the number of trash entries removed.
+ */
+export const purgeTrash = async (
+  userId: number | null,
+  before: Date | null
+): Promise<number> => {
+  const db = usePrisma();
+  const where = {
+    ...(userId !== null ? { userId } : {}),
+    originalPath: { not: null },
+    deletedAt: before ? { lt: before } : { not: null },
+  };
+
+  const [files, folders] = await db.$transaction([
+    db.file.deleteMany({ where }),
+    db.folder.deleteMany({ where }),
+  ]);
+
+  if (files.count + folders.count > 0) {
+    await pruneSearchIndex();
+    await pruneAttachmentBlobs();
+  }
+  return files.count + folders.count;
+};
+
+export const purgeExpiredTrash = (): Promise<number> =>
+  purgeTrash(null, new Date(Date.now() - getTrashRetentionMs()));
@@ -0,0 +1,204 @@
+import type { Prisma } from '@prisma/client';
+import { createAttachmentCopies, type AttachmentCopy } from './attachments';
+
+export type ConflictStrategy = 'rename' | 'overwrite';
+
+interface FolderNode {
+  id: number;
+  parentId: number | null;
+}
+
+interface NamedItem {
+  id: number;
+  name: string;
+}
+
+export const parseConflictStrategy = (
+  value: unknown
+): ConflictStrategy | undefined => {
+  if (value === undefined || value === null) return undefined;
+  if (value === 'rename' || value === 'overwrite') return value;
+  throw createError({
+    statusCode: 400,
+    message: 'Conflict must be either "rename" or "overwrite"',
+  });
+};
+
+/**
+ * Returns `name` with the lowest free " (n)" suffix, keeping a file
+ * extension at the end: "note.md" becomes "note (1).md".
+ */
+export const getAvailableName = (
+  name: string,
+  taken: string[],
+  isFile: boolean
+): string => {
+  const takenNames = new Set(taken);
+  if (!takenNames.has(name)) return name;
+
+  const dot = isFile ? name.lastIndexOf('.') : -1;
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+
+  let n = 1;
+  while (takenNames.has(`${base} (${n})${ext}`)) {
+    n++;
+  }
+  return `${base} (${n})${ext}`;
+};
+
+/**
+ * Decides the final name for an item placed next to `siblings`. Without a
+ * conflict strategy a name collision is reported as a 409 whose `data`
+ * carries a suggested free name, so the client can offer rename or
+ * overwrite.
+ */
+export const resolveNameConflict = (
+  kind: 'file' | 'folder',
+  name: string,
+  siblings: NamedItem[],
+  conflict: ConflictStrategy | undefined
+): { name: string; replaceId: number | null } => {
+  const existing = siblings.find((sibling) => sibling.name === name);
+  if (!existing) {
+    return { name, replaceId: null };
+  }
+
+  const suggestedName = getAvailableName(
+    name,
+    siblings.map((sibling) => sibling.name),
+    kind === 'file'
+  );
+
+  if (conflict === 'rename') {
+    return { name: suggestedName, replaceId: null };
+  }
+  if (conflict === 'overwrite') {
+    return { name, replaceId: existing.id };
+  }
+
+  throw createError({
+    statusCode: 409,
+    message: `A ${kind} named "${name}" already exists in this location`,
+    data: {
+      code: 'NAME_CONFLICT',
+      name,
+      suggested_name: suggestedName,
+    },
+  });
+};
+
+/**
+ * Whether `folderId` is `ancestorId` itself or nested anywhere below it.
+ */
+export const isFolderWithin = (
+  folders: FolderNode[],
+  folderId: number | null,
+  ancestorId: number
+): boolean => {
+  const parents = new Map(folders.map((f) => [f.id, f.parentId]));
+  const visited = new Set<number>();
+  let current = folderId;
+
+  while (current !== null && !visited.has(current)) {
+    if (current === ancestorId) return true;
+    visited.add(current);
+    current = parents.get(current) ?? null;
+  }
+
+  return false;
+};
+
+/**
+ * Returns `rootId` followed by the ids of every folder nested below it, in
+ * breadth-first order.
+ */
+export const getSubtreeIds = (
+  folders: FolderNode[],
+  rootId: number
+): number[] => {
+  const childrenOf = new Map<number, number[]>();
+  for (const folder of folders) {
+    if (folder.parentId === null) continue;
+    const siblings = childrenOf.get(folder.parentId) ?? [];
+    siblings.push(folder.id);
+    childrenOf.set(folder.parentId, siblings);
+  }
+
+  const subtreeIds: number[] = [];
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const id = queue.shift()!;
+    subtreeIds.push(id);
+    queue.push(...(childrenOf.get(id) ?? []));
+  }
+  return subtreeIds;
+};
+
+/**
+ * Deep-copies a folder with all nested folders and files under `parentId`.
+ * The subtree is read before anything is written, so the copy never
+ * includes itself. Attachment contents are copied up front by
+ * copyAttachmentBlobs and passed in by source note id. Returns the new root
+ * folder and the created files.
+ */
+export const copyFolderTree = async (
+  tx: Prisma.TransactionClient,
+  userId: number,
+  sourceId: number,
+  parentId: number | null,
+  name: string,
+  attachmentCopies: Map<number, AttachmentCopy[]>
+) => {
+  const folders = await tx.folder.findMany({
+    where: { userId, deletedAt: null },
+    select: { id: true, parentId: true, name: true },
+  });
+
+  const subtreeIds = getSubtreeIds(folders, sourceId);
+
+  const files = await tx.file.findMany({
+    where: { userId, folderId: { in: subtreeIds }, deletedAt: null },
+    select: { id: true, folderId: true, name: true, content: true },
+  });
+
+  const root = await tx.folder.create({
+    data: { userId, parentId, name },
+  });
+
+  // Maps source folder ids to their copies; subtreeIds is in BFS order, so a
+  // parent is always copied before its children
+  const copies = new Map<number, number>([[sourceId, root.id]]);
+  for (const id of subtreeIds.slice(1)) {
+    const source = folders.find((f) => f.id === id)!;
+    const copy = await tx.folder.create({
+      data: {
+        userId,
+        parentId: copies.get(source.parentId!)!,
+        name: source.name,
+      },
+    });
+    copies.set(id, copy.id);
+  }
+
+  const createdFiles = [];
+  for (const file of files) {
+    const copy = await tx.file.create({
+      data: {
+        userId,
+        folderId: copies.get(file.folderId!)!,
+        name: file.name,
+        content: file.content,
+      },
+    });
+    createdFiles.push(
+      await createAttachmentCopies(
+        tx,
+        attachmentCopies.get(file.id) ?? [],
+        copy
+      )
+    );
+  }
+
+  return { folder: root, files: createdFiles };
+};
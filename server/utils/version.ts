@@ -0,0 +1,45 @@
+import type { File } from '@prisma/client';
+
+/**
+ * Formats a file version as a strong ETag.
+ */
+export const toETag = (version: number): string => `"${version}"`;
+
+/**
+ * Reads the version a write is based on, from the request body or an
+ * If-Match header. Writes without either skip the concurrency check.
+ */
+export const parseExpectedVersion = (
+  bodyVersion: unknown,
+  ifMatch: string | undefined
+): number | null => {
+  const raw =
+    bodyVersion ?? ifMatch?.replace(/^W\//, '').replace(/"/g, '').trim();
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createError({ statusCode: 400, message: 'Invalid file version' });
+  }
+  return version;
+};
+
+/**
+ * Rejects a write based on an outdated version. The current server state is
+ * sent along so the client can merge without another request.
+ */
+export const createVersionConflictError = (file: File) =>
+  createError({
+    statusCode: 409,
+    message: 'This file was changed since you opened it',
+    data: {
+      code: 'VERSION_CONFLICT',
+      current: {
+        id: file.id,
+        name: file.name,
+        content: file.content,
+        version: file.version,
+        updated_at: file.updatedAt,
+      },
+    },
+  });
@@ -0,0 +1,123 @@
+// [[target]], [[target#heading]] and [[target|alias]]
+const WIKI_LINK_PATTERN = /\[\[([^[\]|#\n]+)(#[^[\]|\n]*)?(\|[^[\]\n]*)?\]\]/g;
+
+export interface LinkableFile {
+  id: number;
+  name: string;
+  folderId: number | null;
+}
+
+export interface LinkableFolder {
+  id: number;
+  parentId: number | null;
+  name: string;
+}
+
+const toFileName = (name: string): string =>
+  name.toLowerCase().endsWith('.md') ? name : `${name}.md`;
+
+const splitTarget = (target: string): string[] =>
+  target
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter((segment) => segment.length > 0);
+
+/**
+ * Returns the distinct link targets in a note, without heading or alias.
+ */
+export const parseWikiLinks = (content: string): string[] => {
+  const targets = new Set<string>();
+  for (const match of content.matchAll(WIKI_LINK_PATTERN)) {
+    const target = splitTarget(match[1]!).join('/');
+    if (target) targets.add(target);
+  }
+  return [...targets];
+};
+
+/**
+ * Lowercased file name a target points at, used to look up candidate links
+ * without resolving every link in the vault.
+ */
+export const toTargetName = (target: string): string => {
+  const segments = splitTarget(target);
+  return toFileName(segments[segments.length - 1] ?? '').toLowerCase();
+};
+
+const findFolderByPath = (
+  folders: LinkableFolder[],
+  segments: string[],
+  startId: number | null
+): number | null | undefined => {
+  let current = startId;
+  for (const segment of segments) {
+    const next = folders.find(
+      (f) =>
+        f.parentId === current && f.name.toLowerCase() === segment.toLowerCase()
+    );
+    if (!next) return undefined;
+    current = next.id;
+  }
+  return current;
+};
+
+/**
+ * Resolves a link target to a file. "folder/Note" is looked up relative to
+ * the linking note's folder first and then from the root; a bare "Note"
+ * prefers a file next to the linking note and otherwise takes the oldest
+ * file with that name. Matching is case-insensitive and ".md" is optional.
+ */
+export const resolveWikiLink = (
+  target: string,
+  sourceFolderId: number | null,
+  files: LinkableFile[],
+  folders: LinkableFolder[]
+): LinkableFile | null => {
+  const segments = splitTarget(target);
+  if (segments.length === 0) return null;
+
+  const fileName = toFileName(segments[segments.length - 1]!).toLowerCase();
+  const dirs = segments.slice(0, -1);
+  const candidates = files
+    .filter((f) => f.name.toLowerCase() === fileName)
+    .sort((a, b) => a.id - b.id);
+
+  if (dirs.length > 0) {
+    for (const base of [sourceFolderId, null]) {
+      const folderId = findFolderByPath(folders, dirs, base);
+      if (folderId === undefined) continue;
+      const match = candidates.find((f) => f.folderId === folderId);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  return (
+    candidates.find((f) => f.folderId === sourceFolderId) ??
+    candidates[0] ??
+    null
+  );
+};
+
+/**
+ * Rewrites the file name part of every link for which `shouldRewrite`
+ * returns true, keeping folder prefix, heading and alias intact.
+ */
+export const rewriteWikiLinks = (
+  content: string,
+  shouldRewrite: (target: string) => boolean,
+  newName: string
+): string =>
+  content.replace(
+    WIKI_LINK_PATTERN,
+    (link, rawTarget: string, heading?: string, alias?: string) => {
+      const segments = splitTarget(rawTarget);
+      if (!shouldRewrite(segments.join('/'))) return link;
+
+      const last = segments[segments.length - 1]!;
+      const name = last.toLowerCase().endsWith('.md')
+        ? newName
+        : newName.replace(/\.md$/i, '');
+      const target = [...segments.slice(0, -1), name].join('/');
+      return `[[${target}${heading ?? ''}${alias ?? ''}]]`;
+    }
+  );
@@ -0,0 +1,60 @@
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/**
+ * Makes a file or folder name safe to use as a single zip path segment.
+ */
+export const toZipSegment = (name: string): string =>
+  name.replace(/[\\/]/g, '_');
+
+const fromDosDateTime = (time: number, date: number): Date =>
+  new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+
+/**
+ * Reads entry modification times from the zip central directory. fflate
+ * does not expose them when unzipping, so they are parsed here directly.
+ * Returns an empty map for archives it cannot make sense of.
+ */
+export const readZipTimestamps = (data: Uint8Array): Map<string, Date> => {
+  const timestamps = new Map<string, Date>();
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end-of-central-directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return timestamps;
+
+  const entries = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  for (let i = 0; i < entries && offset + 46 <= data.length; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) break;
+
+    const time = view.getUint16(offset + 12, true);
+    const date = view.getUint16(offset + 14, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(
+      data.subarray(offset + 46, offset + 46 + nameLength)
+    );
+
+    timestamps.set(name, fromDosDateTime(time, date));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return timestamps;
+};